@@ -0,0 +1,59 @@
+// conversion-table.bench.js
+// Reports timings of the conversion paths; run with `npm run bench`.
+const { performance } = require('perf_hooks');
+const { ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+const ROUNDS = 5;
+
+// Best time of a few runs, in milliseconds
+const time = (run) => {
+    let best = Infinity;
+    for (let round = 0; round < ROUNDS; round++) {
+        const start = performance.now();
+        run();
+        best = Math.min(best, performance.now() - start);
+    }
+    return best;
+};
+
+const report = (name, timings) => {
+    const [[, reference], ...others] = timings;
+    const columns = timings.map(([label, ms]) => `${label} ${ms.toFixed(2)} ms`);
+    const speedups = others.map(([, ms]) => `${(reference / ms).toFixed(1)}x`);
+    console.log(`${name.padEnd(32)} ${columns.join(', ')} (${speedups.join(', ')} faster)`);
+};
+
+const conversionManager = new ConversionTableManager();
+conversionManager.registerBuiltins();
+const { tables } = conversionManager;
+
+console.log('convertMany() against convert() for every input');
+{
+    const forms = [(i) => `${i}in`, (i) => `${i}ft ${i % 12}in`, (i) => `${i} feet`, (i) => `${i / 7}cm`];
+    const inputs = Array.from({ length: 2000 }, (_, i) => forms[i % forms.length](i));
+    report('2000 mixed length inputs', [
+        ['convert()', time(() => inputs.map((input) => ConversionTableOperations.convert(input, 'm', tables.length)))],
+        ['convertMany()', time(() => ConversionTableOperations.convertMany(inputs, 'm', tables.length))],
+    ]);
+}
+
+console.log('parse() with the compiled table against compiling it for every input');
+for (const { workload, table, input } of [
+    { workload: 'unit keys', table: 'length', input: (i) => `${i}in` },
+    { workload: 'terms', table: 'length', input: (i) => `${i} feet` },
+    { workload: 'composite input', table: 'time', input: (i) => `${i}h 20min 15s` },
+    { workload: 'minor units', table: 'typography', input: (i) => `${i}p${i % 12}` },
+]) {
+    const inputs = Array.from({ length: 200 }, (_, i) => input(i + 1));
+    const conversionTable = tables[table];
+    const parseAll = (before) => () => {
+        for (const text of inputs) {
+            before();
+            ConversionTableOperations.parse(text, conversionTable);
+        }
+    };
+    report(`200 inputs, ${workload}`, [
+        ['uncompiled', time(parseAll(() => conversionTable.invalidate()))],
+        ['compiled', time(parseAll(() => {}))],
+    ]);
+}
@@ -11,6 +11,450 @@
     }
 }(typeof self !== 'undefined' ? self : this, function () {
 
+    /**
+     * The number format used when none is configured: '.' as decimal separator and ',' between
+     * groups of thousands ("1,234.5").
+     */
+    const DEFAULT_NUMBER_FORMAT = Object.freeze({ decimal: '.', thousands: ',' });
+
+    /**
+     * Unicode superscript characters used for the powers in derived unit keys ("m²", "s⁻¹").
+     */
+    const SUPERSCRIPTS = Object.freeze({
+        '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴',
+        '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹', '-': '⁻',
+    });
+
+    /**
+     * Unicode vulgar fraction characters and their [numerator, denominator] values.
+     */
+    const VULGAR_FRACTIONS = Object.freeze({
+        '¼': [1, 4], '½': [1, 2], '¾': [3, 4],
+        '⅐': [1, 7], '⅑': [1, 9], '⅒': [1, 10],
+        '⅓': [1, 3], '⅔': [2, 3],
+        '⅕': [1, 5], '⅖': [2, 5], '⅗': [3, 5], '⅘': [4, 5],
+        '⅙': [1, 6], '⅚': [5, 6],
+        '⅛': [1, 8], '⅜': [3, 8], '⅝': [5, 8], '⅞': [7, 8],
+    });
+
+    /**
+     * Unit prefixes by group, as symbol: [name, factor]. A unit opts in with `prefixes: 'metric'`,
+     * `prefixes: 'binary'` or an allow-list such as `prefixes: ['k', 'c', 'm']`.
+     */
+    const PREFIXES = Object.freeze({
+        metric: Object.freeze({
+            'Q': ['Quetta', 1e30], 'R': ['Ronna', 1e27], 'Y': ['Yotta', 1e24], 'Z': ['Zetta', 1e21],
+            'E': ['Exa', 1e18], 'P': ['Peta', 1e15], 'T': ['Tera', 1e12], 'G': ['Giga', 1e9],
+            'M': ['Mega', 1e6], 'k': ['Kilo', 1e3], 'h': ['Hecto', 1e2], 'da': ['Deca', 1e1],
+            'd': ['Deci', 1e-1], 'c': ['Centi', 1e-2], 'm': ['Milli', 1e-3], 'µ': ['Micro', 1e-6],
+            'n': ['Nano', 1e-9], 'p': ['Pico', 1e-12], 'f': ['Femto', 1e-15], 'a': ['Atto', 1e-18],
+            'z': ['Zepto', 1e-21], 'y': ['Yocto', 1e-24], 'r': ['Ronto', 1e-27], 'q': ['Quecto', 1e-30],
+        }),
+        binary: Object.freeze({
+            'Ki': ['Kibi', 2 ** 10], 'Mi': ['Mebi', 2 ** 20], 'Gi': ['Gibi', 2 ** 30], 'Ti': ['Tebi', 2 ** 40],
+            'Pi': ['Pebi', 2 ** 50], 'Ei': ['Exbi', 2 ** 60], 'Zi': ['Zebi', 2 ** 70], 'Yi': ['Yobi', 2 ** 80],
+        }),
+    });
+
+    /**
+     * The built-in raw tables, loaded with `ConversionTableManager.registerBuiltin()`. Scales use the exact
+     * SI definitions (1 in = 0.0254 m, 1 lb = 0.45359237 kg, 1 gal = 3.785411784 L, 1 pt = 1/72 in); scales
+     * and biases that are not short decimals are exact strings, so exact conversions keep them exact.
+     */
+    const BUILTIN_TABLES = Object.freeze({
+        length: {
+            dimension: 'length',
+            units: {
+                'm': { base: true, term: 'Meter(s)', prefixes: ['k', 'c', 'm', 'µ', 'n'] },
+                'in': { scale: 0.0254, term: 'Inch(es)' },
+                'ft': { scale: 0.3048, minor: 'in', term: 'Foot/Feet' },
+                'yd': { scale: 0.9144, minor: 'ft', term: 'Yard(s)' },
+                'mi': { scale: 1609.344, term: 'Mile(s)' },
+                'nmi': { scale: 1852, term: 'Nautical Mile(s)' },
+            },
+        },
+        mass: {
+            dimension: 'mass',
+            units: {
+                'g': { base: true, term: 'Gram(s)', prefixes: ['k', 'm', 'µ'] },
+                't': { scale: 1e6, term: 'Tonne(s)' },
+                'oz': { scale: 28.349523125, term: 'Ounce(s)' },
+                'lb': { scale: 453.59237, minor: 'oz', term: 'Pound(s)' },
+                'st': { scale: 6350.29318, minor: 'lb', term: 'Stone(s)' },
+            },
+        },
+        volume: {
+            dimension: 'volume',
+            units: {
+                'L': { base: true, term: 'Liter(s)', prefixes: ['d', 'c', 'm'] },
+                'm³': { scale: 1000, term: 'Cubic Meter(s)' },
+                'cm³': { scale: 0.001, term: 'Cubic Centimeter(s)' },
+                'gal': { scale: 3.785411784, term: 'Gallon(s)' },
+                'qt': { scale: 0.946352946, term: 'Quart(s)' },
+                'pt': { scale: 0.473176473, term: 'Pint(s)' },
+                'c': { scale: 0.2365882365, term: 'Cup(s)' },
+                'floz': { scale: 0.0295735295625, term: 'Fluid Ounce(s)' },
+                'tbsp': { scale: 0.01478676478125, term: 'Tablespoon(s)' },
+                'tsp': { scale: 0.00492892159375, term: 'Teaspoon(s)' },
+            },
+        },
+        temperature: {
+            dimension: 'temperature',
+            units: {
+                'C': { base: true, term: 'Celsius' },
+                'F': { scale: '5/9', bias: '-160/9', term: 'Fahrenheit' },
+                'K': { bias: -273.15, term: 'Kelvin' },
+                'R': { scale: '5/9', bias: -273.15, term: 'Rankine' },
+            },
+        },
+        typography: {
+            dimension: 'length',
+            units: {
+                'pt': { base: true, term: 'Point(s)' },
+                'p': { scale: 12, minor: 'pt', term: 'Pica(s)' },
+                'px': { scale: 0.75, term: 'Pixel(s)' },
+                'in': { scale: 72, term: 'Inch(es)' },
+                'cm': { scale: '72/2.54', term: 'Centimeter(s)' },
+                'mm': { scale: '72/25.4', term: 'Millimeter(s)' },
+                'Q': { scale: '18/25.4', term: 'Quarter-Millimeter(s)' },
+                'd': { scale: '27.07668/25.4', term: 'Didot(s)' },
+                'c': { scale: '324.92016/25.4', minor: 'd', term: 'Cicero(s)' },
+            },
+        },
+        data: {
+            dimension: 'data',
+            units: {
+                'B': { base: true, term: 'Byte(s)', prefixes: ['k', 'M', 'G', 'T', 'P', 'Ki', 'Mi', 'Gi', 'Ti', 'Pi'] },
+                'bit': { scale: 0.125, term: 'Bit(s)' },
+            },
+        },
+        time: {
+            dimension: 'time',
+            units: {
+                's': { base: true, term: 'Second(s)', prefixes: ['m'] },
+                'min': { scale: 60, minor: 's', term: 'Minute(s)' },
+                'h': { scale: 3600, minor: 'min', term: 'Hour(s)' },
+                'd': { scale: 86400, minor: 'h', term: 'Day(s)' },
+                'wk': { scale: 604800, minor: 'd', term: 'Week(s)' },
+            },
+        },
+    });
+    // Freeze the built-in tables down to their units, so that no caller can change them for later registrations
+    Object.values(BUILTIN_TABLES).forEach((builtin) => {
+        Object.values(builtin.units).forEach((unit) => {
+            if (unit.prefixes) Object.freeze(unit.prefixes);
+            Object.freeze(unit);
+        });
+        Object.freeze(builtin.units);
+        Object.freeze(builtin);
+    });
+
+    /**
+     * Default unit matching options: unit keys are matched exactly as declared.
+     */
+    const DEFAULT_MATCHING = Object.freeze({ caseSensitive: true, ignoreWhitespace: false });
+
+    /**
+     * Rounding modes of `ConversionTableOperations.round()`; 'half-up' rounds ties away from zero.
+     */
+    const ROUNDING_MODES = Object.freeze(['half-up', 'half-even', 'floor', 'ceil', 'truncate']);
+
+    /**
+     * The significant digits a double holds reliably; conversion results never carry more.
+     */
+    const MAX_SIGNIFICANT_DIGITS = 15;
+
+    /**
+     * Characters typed interchangeably in unit symbols: the micro sign and the Greek small letter mu.
+     * The first character of each group is the one unit keys and typed units are folded to.
+     */
+    const UNIT_CHARACTER_VARIANTS = Object.freeze(['\u00B5\u03BC']);
+
+    /**
+     * Diagnostic codes that prevent a table from being normalized, even outside strict mode.
+     */
+    const FATAL_DIAGNOSTICS = Object.freeze(['INVALID_UNIT', 'INVALID_UNIT_KEY', 'UNKNOWN_ALIAS', 'ALIAS_CYCLE', 'INVALID_TRANSFORM']);
+
+    /**
+     * Named transforms of non-linear units, with their parameters and defaults. `toBase` maps a value of the unit
+     * to a linear quantity, which the unit's `scale` and `bias` then bring to the base unit; `fromBase` is its inverse.
+     * `check` describes an invalid parameter (or returns null).
+     */
+    const TRANSFORMS = Object.freeze({
+        // factor / value, e.g. L/100km from km/L with a factor of 100
+        reciprocal: {
+            parameters: { factor: 1 },
+            check: ({ factor }) => Number.isFinite(factor) && factor !== 0 ? null : `factor '${factor}'; it must be a non-zero number`,
+            toBase: ({ factor }) => (value) => factor / value,
+            fromBase: ({ factor }) => (value) => factor / value,
+        },
+        // reference * logBase ^ (value / factor), e.g. decibels of power with a factor of 10, or pH with a factor of -1
+        logarithmic: {
+            parameters: { factor: 1, logBase: 10, reference: 1 },
+            check: ({ factor, logBase, reference }) => {
+                if (!(Number.isFinite(factor) && factor !== 0)) return `factor '${factor}'; it must be a non-zero number`;
+                if (!(Number.isFinite(logBase) && logBase > 0 && logBase !== 1)) return `logBase '${logBase}'; it must be a positive number other than 1`;
+                if (!(Number.isFinite(reference) && reference > 0)) return `reference '${reference}'; it must be a positive number`;
+                return null;
+            },
+            toBase: ({ factor, logBase, reference }) => (value) => reference * Math.pow(logBase, value / factor),
+            fromBase: ({ factor, logBase, reference }) => (value) => factor * Math.log(value / reference) / Math.log(logBase),
+        },
+    });
+
+    /**
+     * The values a non-linear unit converts to its base unit and back when it is validated.
+     */
+    const ROUND_TRIP_SAMPLES = Object.freeze([-10, -2, -1, -0.5, 0, 0.5, 1, 2, 10]);
+
+    /**
+     * An exact number written as a decimal or a ratio of decimals: "0.0254", "1e-3", "-160/9" or "72/2.54".
+     */
+    const RATIONAL_PATTERN = '^\\s*[+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][+-]?\\d{1,3})?\\s*(?:/\\s*[+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][+-]?\\d{1,3})?\\s*)?$';
+
+    /**
+     * The version of the table documents written by `ConversionTableSerializer`.
+     */
+    const TABLE_DOCUMENT_VERSION = 1;
+
+    /**
+     * JSON Schema (draft-07) of the table documents written by `exportTable()` and `exportAll()` and read by
+     * `importTables()`. `ConversionTableSerializer.validate()` checks it together with the unit references.
+     */
+    const TABLE_SCHEMA = Object.freeze({
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: 'Conversion tables',
+        type: 'object',
+        required: ['version', 'tables'],
+        additionalProperties: false,
+        properties: {
+            version: { const: TABLE_DOCUMENT_VERSION },
+            tables: { type: 'object', additionalProperties: { $ref: '#/definitions/table' } },
+        },
+        definitions: {
+            table: {
+                type: 'object',
+                required: ['base', 'units'],
+                additionalProperties: false,
+                properties: {
+                    base: { type: 'string', description: 'The key of the base unit.' },
+                    precision: { type: 'integer', minimum: 6, maximum: 15 },
+                    dimension: { type: ['string', 'null'], description: "The physical dimension, e.g. 'length/time'." },
+                    derivedFrom: { type: ['string', 'null'], description: 'The definition of a derived table.' },
+                    caseSensitive: { type: 'boolean', description: 'Whether unit keys must be typed with their exact case.' },
+                    ignoreWhitespace: { type: 'boolean', description: 'Whether whitespace inside unit keys is optional.' },
+                    units: { type: 'object', minProperties: 1, additionalProperties: { $ref: '#/definitions/unit' } },
+                },
+            },
+            unit: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    scale: {
+                        oneOf: [
+                            { type: 'number', not: { const: 0 } },
+                            { type: 'string', pattern: RATIONAL_PATTERN, description: 'An exact decimal or ratio, e.g. "72/2.54".' },
+                        ],
+                    },
+                    bias: {
+                        oneOf: [
+                            { type: 'number' },
+                            { type: 'string', pattern: RATIONAL_PATTERN },
+                        ],
+                    },
+                    term: {
+                        oneOf: [
+                            { type: 'null' },
+                            { type: 'string' },
+                            { type: 'array', items: { type: 'string' }, minItems: 2, maxItems: 2 },
+                        ],
+                    },
+                    alias: { type: ['string', 'null'], description: 'The key of the unit this unit stands for.' },
+                    minor: { type: ['string', 'null'], description: 'The key of the minor unit.' },
+                    caseSensitive: { type: 'boolean', description: "Overrides the table's case sensitivity." },
+                    transform: {
+                        type: 'object',
+                        required: ['name'],
+                        additionalProperties: false,
+                        description: 'The named transform of a non-linear unit, with its parameters.',
+                        properties: {
+                            name: { enum: Object.keys(TRANSFORMS) },
+                            factor: { type: 'number', not: { const: 0 } },
+                            logBase: { type: 'number', exclusiveMinimum: 0, not: { const: 1 } },
+                            reference: { type: 'number', exclusiveMinimum: 0 },
+                        },
+                    },
+                },
+            },
+        },
+    });
+
+    /**
+     * Class representing an exact fraction of two BigInts, always in lowest terms with a positive denominator.
+     */
+    class Rational {
+        /**
+         * Creates an instance of Rational.
+         *
+         * @param {bigint} numerator - The numerator.
+         * @param {bigint} [denominator] - The denominator (not zero; defaults to 1).
+         */
+        constructor(numerator, denominator = BigInt(1)) {
+            if (denominator === BigInt(0)) throw new RangeError('Division by zero.');
+            if (denominator < BigInt(0)) {
+                numerator = -numerator;
+                denominator = -denominator;
+            }
+            const divisor = Rational._gcd(numerator < BigInt(0) ? -numerator : numerator, denominator);
+            this.numerator = numerator / divisor;
+            this.denominator = denominator / divisor;
+        }
+
+        /**
+         * Reads an exact number written as a decimal or a ratio of decimals ("28.3465", "1e-3", "72/2.54").
+         *
+         * @param {string} text - The text to read.
+         * @returns {Rational|null} The number (or null when the text is not a valid number or divides by zero).
+         */
+        static parse(text) {
+            if (typeof text !== 'string' || !new RegExp(RATIONAL_PATTERN).test(text)) return null;
+
+            const [numerator, denominator = '1'] = text.split('/').map((part) => Rational._fromDecimal(part.trim()));
+            if (typeof denominator === 'string') return numerator;
+            if (denominator.numerator === BigInt(0)) return null;
+            return numerator.divide(denominator);
+        }
+
+        /**
+         * Converts a number to the rational of its shortest decimal representation, so 0.1 gives 1/10
+         * rather than the binary fraction nearest to it.
+         *
+         * @param {number} value - The finite number to convert.
+         * @returns {Rational|null} The number (or null when it is not finite).
+         */
+        static fromNumber(value) {
+            if (typeof value !== 'number' || !isFinite(value)) return null;
+            return Rational._fromDecimal(String(value));
+        }
+
+        add(other) {
+            return new Rational(this.numerator * other.denominator + other.numerator * this.denominator, this.denominator * other.denominator);
+        }
+
+        subtract(other) {
+            return this.add(other.negate());
+        }
+
+        negate() {
+            return new Rational(-this.numerator, this.denominator);
+        }
+
+        multiply(other) {
+            return new Rational(this.numerator * other.numerator, this.denominator * other.denominator);
+        }
+
+        divide(other) {
+            return new Rational(this.numerator * other.denominator, this.denominator * other.numerator);
+        }
+
+        /**
+         * Converts the rational to the nearest number, keeping 20 significant digits before the final rounding.
+         *
+         * @returns {number} The number.
+         */
+        toNumber() {
+            const magnitude = this.numerator < BigInt(0) ? -this.numerator : this.numerator;
+            if (magnitude === BigInt(0)) return 0;
+
+            const shift = String(magnitude).length - String(this.denominator).length;
+            const digits = shift > 20
+                ? magnitude / (this.denominator * Rational._pow10(shift - 20))
+                : magnitude * Rational._pow10(20 - shift) / this.denominator;
+            return Number(`${this.numerator < BigInt(0) ? '-' : ''}${digits}e${shift - 20}`);
+        }
+
+        /**
+         * Writes the rational as a decimal string with at most `decimals` digits after the decimal point.
+         * Decimals that end sooner are exact; others are rounded with the given mode.
+         *
+         * @param {number} decimals - The maximum number of digits after the decimal point.
+         * @param {string} [mode='half-up'] - The rounding mode (see `ConversionTableOperations.round()`).
+         * @returns {string} The decimal, without trailing zeros (e.g. "2.54", "-0.0352777778").
+         */
+        toDecimal(decimals, mode = 'half-up') {
+            const negative = this.numerator < BigInt(0);
+            const scaled = (negative ? -this.numerator : this.numerator) * Rational._pow10(decimals);
+            let quotient = scaled / this.denominator;
+            const twiceRemainder = (scaled % this.denominator) * BigInt(2);
+
+            const inexact = twiceRemainder !== BigInt(0);
+            const up = {
+                'half-up': twiceRemainder >= this.denominator,
+                'half-even': twiceRemainder > this.denominator || (twiceRemainder === this.denominator && quotient % BigInt(2) === BigInt(1)),
+                'floor': negative && inexact,
+                'ceil': !negative && inexact,
+                'truncate': false,
+            }[mode];
+            if (up) quotient += BigInt(1);
+
+            const digits = String(quotient).padStart(decimals + 1, '0');
+            const whole = digits.slice(0, digits.length - decimals);
+            const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+            const sign = negative && quotient !== BigInt(0) ? '-' : '';
+            return `${sign}${whole}${fraction ? `.${fraction}` : ''}`;
+        }
+
+        /**
+         * Writes the rational as "numerator/denominator", or as an integer when the denominator is 1.
+         *
+         * @returns {string} The rational as text (e.g. "3600/127").
+         */
+        toString() {
+            return this.denominator === BigInt(1) ? `${this.numerator}` : `${this.numerator}/${this.denominator}`;
+        }
+
+        /**
+         * Reads a plain decimal, such as "-1.5e-3".
+         *
+         * @param {string} text - The decimal to read.
+         * @returns {Rational} The number.
+         * @private
+         */
+        static _fromDecimal(text) {
+            const [, sign, whole, fraction = '', exponent = '0'] = text.match(/^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/);
+            const power = Number(exponent) - fraction.length;
+            let numerator = BigInt(`${whole}${fraction}` || '0');
+            if (sign === '-') numerator = -numerator;
+            return power >= 0
+                ? new Rational(numerator * Rational._pow10(power))
+                : new Rational(numerator, Rational._pow10(-power));
+        }
+
+        /**
+         * Computes 10 to a non-negative integer power.
+         *
+         * @param {number} exponent - The power.
+         * @returns {bigint} The power of ten.
+         * @private
+         */
+        static _pow10(exponent) {
+            return BigInt(`1${'0'.repeat(exponent)}`);
+        }
+
+        /**
+         * Computes the greatest common divisor of two non-negative BigInts (1 when both are zero).
+         *
+         * @param {bigint} a - The first number.
+         * @param {bigint} b - The second number.
+         * @returns {bigint} The greatest common divisor.
+         * @private
+         */
+        static _gcd(a, b) {
+            while (b !== BigInt(0)) [a, b] = [b, a % b];
+            return a || BigInt(1);
+        }
+    }
+
     /**
      * Class representing a single conversion unit.
      */
@@ -54,13 +498,23 @@
          * @param {string} regexString - The regex string used to match unit values.
          * @param {string} [tableName] - The name of the conversion table (optional).
          * @param {number} precision - The maximum precision found in the table (digits after the decimal point).
+         * @param {{decimal: string, thousands: string}} [numberFormat] - The separators used when parsing numbers (optional).
+         * @param {string|null} [dimension] - The physical dimension measured by the table, e.g. 'length' or 'length/time' (optional).
          */
-        constructor(table, base, regexString, tableName = '', precision = 6) {
+        constructor(table, base, regexString, tableName = '', precision = 6, numberFormat = DEFAULT_NUMBER_FORMAT, dimension = null) {
             this.table = table;
             this.base = base;
             this.regexString = regexString;
             this.tableName = tableName;
             this.precision = Math.max(6, Math.min(15, precision)); // Cap precision between 6 and 15
+            this.numberFormat = numberFormat;
+            this.dimension = dimension;
+            this.matching = { ...DEFAULT_MATCHING };
+            this.diagnostics = [];
+            // The compiled matchers and unit index, and the count of changes they are checked against; not enumerable,
+            // so comparisons and copies of the table leave them out
+            Object.defineProperty(this, '_cache', { value: null, writable: true });
+            Object.defineProperty(this, '_version', { value: 0, writable: true });
         }
 
         /**
@@ -68,31 +522,92 @@
          *
          * @param {Object} rawTable - The raw table object containing unit conversions.
          * @param {string} [tableName] - The name of the conversion table (optional).
+         * @param {Object} [options] - Table options (optional).
+         * @param {{decimal: string, thousands: string}} [options.numberFormat] - The separators used when parsing numbers.
+         * @param {string} [options.dimension] - The physical dimension measured by the table, e.g. 'length' or 'length/time'.
+         * @param {boolean} [options.strict=false] - Whether to refuse the table when validation reports any error.
+         * @param {boolean} [options.caseSensitive=true] - Whether unit keys must be typed with their exact case. Units can
+         *                                                 override it with their own `caseSensitive` property. Terms
+         *                                                 ("Inches") always match ignoring case.
+         * @param {boolean} [options.ignoreWhitespace=false] - Whether whitespace inside unit keys and around '/' and '·' is
+         *                                                     optional ("fl oz" matches "floz", "km/h" matches "km / h").
          * @returns {[string|null, ConversionTable|null]} A tuple where the first value is an error message (or null),
          *                                                and the second value is the created ConversionTable instance (or null).
          */
-        static factory(rawTable, tableName = '') {
-            const [normalizeError, normalizedData] = ConversionTable.normalizeTable(rawTable, tableName);
+        static factory(rawTable, tableName = '', options = {}) {
+            const [formatError, numberFormat] = ConversionTable._resolveNumberFormat(options.numberFormat);
+            if (formatError) return [formatError, null];
+
+            const [dimensionError, dimension] = ConversionTable.normalizeDimension(options.dimension);
+            if (dimensionError) return [dimensionError, null];
+
+            const [normalizeError, normalizedData] = ConversionTable.normalizeTable(rawTable, tableName, { strict: options.strict });
             if (normalizeError) return [normalizeError, null];
 
-            const [regexError, regexString] = ConversionTable.buildRegexString(normalizedData.table, tableName);
+            const matching = {
+                caseSensitive: options.caseSensitive ?? DEFAULT_MATCHING.caseSensitive,
+                ignoreWhitespace: options.ignoreWhitespace ?? DEFAULT_MATCHING.ignoreWhitespace,
+            };
+            const [regexError, regexString] = ConversionTable.buildRegexString(normalizedData.table, tableName, numberFormat, matching);
             if (regexError) return [regexError, null];
 
-            return [null, new ConversionTable(normalizedData.table, normalizedData.base, regexString, tableName, normalizedData.precision)];
+            const conversionTable = new ConversionTable(normalizedData.table, normalizedData.base, regexString, tableName, normalizedData.precision, numberFormat, dimension);
+            conversionTable.matching = matching;
+            conversionTable.diagnostics = normalizedData.diagnostics;
+            conversionTable._compiled();
+            return [null, conversionTable];
+        }
+
+        /**
+         * Normalizes a dimension into its canonical form, so that equal dimensions compare equal:
+         * factors sorted by name, e.g. 'time^-1 * length' becomes 'length/time'.
+         *
+         * @param {string|null|undefined} dimension - The dimension, as base dimensions combined with '*', '/' and '^'.
+         * @returns {[string|null, string|null]} A tuple with the error message (or null), and the canonical dimension
+         *                                       (or null when no dimension is given).
+         */
+        static normalizeDimension(dimension) {
+            if (dimension === undefined || dimension === null) return [null, null];
+
+            const [factorsError, factors] = ConversionTable._parseFactors(dimension);
+            if (factorsError) return [`Invalid dimension '${dimension}'.`, null];
+            return [null, ConversionTable._formatFactors(factors)];
         }
 
         /**
          * Normalizes a conversion table.
          *
          * Converts the raw table to a normalized format with proper scaling, bias, term structure, etc.
+         * Units declaring `prefixes` are first expanded into their prefixed units (see `expandPrefixes()`), and
+         * units declaring `aliases` into alias entries (see `expandAliases()`). Alias chains are flattened: every
+         * alias refers to the unit at the end of its chain.
          * Also identifies the base unit and calculates the largest number of digits after the decimal point (precision).
          *
+         * The table is validated first (see `validate()`). Unknown aliases, alias cycles, malformed units and unit
+         * keys that cannot be matched are always refused; in strict mode every diagnostic with severity 'error' is.
+         * The diagnostics are returned with the normalized table.
+         *
          * @param {Object} table - The raw conversion table object.
          * @param {string} [tableName] - The name of the conversion table (optional).
+         * @param {Object} [options] - Normalization options (optional).
+         * @param {boolean} [options.strict=false] - Whether to refuse the table when validation reports any error.
          * @returns {[string|null, Object|null]} A tuple with the error message (or null) and the normalized table (or null).
          */
-        static normalizeTable(table, tableName = '') {
+        static normalizeTable(rawTable, tableName = '', options = {}) {
             try {
+                const [prefixError, prefixedTable] = ConversionTable.expandPrefixes(rawTable);
+                if (prefixError) return [prefixError, null];
+                const [aliasError, table] = ConversionTable.expandAliases(prefixedTable);
+                if (aliasError) return [aliasError, null];
+
+                const diagnostics = ConversionTable._diagnose(table);
+                const errors = diagnostics.filter(({ severity }) => severity === 'error');
+                if (options.strict && errors.length) {
+                    return [`Table '${tableName}' is invalid: ${errors.map(({ message }) => message).join(' ')}`, null];
+                }
+                const fatal = errors.find(({ code }) => FATAL_DIAGNOSTICS.includes(code));
+                if (fatal) return [fatal.message, null];
+
                 const normalizedTable = {};
                 let baseKey = '';
                 let maxPrecision = 6; // Set minimum precision to 6
@@ -107,16 +622,27 @@
                         baseKey = key;
                     }
 
+                    // Aliases take the data of the unit ending their chain, without modifying the raw table
                     if (value.alias) {
-                        const a = value.alias;
-                        value = table[value.alias];
-                        value.alias = a;
+                        let target = value.alias;
+                        while (table[target].alias) target = table[target].alias;
+                        value = { ...table[target], alias: target, caseSensitive: value.caseSensitive };
+                    }
+
+                    // Keep exact scales and biases ("72/2.54") for exact conversions, and use their number otherwise
+                    const exact = {};
+                    for (const property of ['scale', 'bias']) {
+                        const rational = typeof value[property] === 'string' ? Rational.parse(value[property]) : null;
+                        if (rational) exact[property] = value[property].trim();
                     }
+                    const scale = exact.scale ? Rational.parse(exact.scale).toNumber() : value.scale ?? 1;
+                    const bias = exact.bias ? Rational.parse(exact.bias).toNumber() : value.bias;
 
-                    // Normalize the scale and round it to 15 decimal digits
-                    const normalizedScale = ConversionTable._roundToPrecision(value.scale ?? 1, 15);
+                    // Normalize the scale and round it to 15 decimal digits (15 significant digits for small scales)
+                    const normalizedScale = ConversionTable._roundScale(scale);
                     const normalizedTerm = ConversionTable._parseTerm(value.term); // Convert term to array
-                    normalizedTable[key] = ConversionTable._getNormalizedUnit({ ...value, scale: normalizedScale, term: normalizedTerm });
+                    const [, converter] = ConversionTable._transformOf(key, value);
+                    normalizedTable[key] = ConversionTable._getNormalizedUnit({ ...value, scale: normalizedScale, bias, term: normalizedTerm, exact, converter });
 
                     // Calculate the number of digits after the decimal point in the scale
                     const precision = ConversionTable._getPrecision(normalizedScale);
@@ -128,266 +654,2586 @@
                 // Cap precision between 6 and 15 digits
                 maxPrecision = Math.max(6, Math.min(15, maxPrecision));
 
-                return [null, { table: normalizedTable, base: baseKey, precision: maxPrecision }];
+                return [null, { table: normalizedTable, base: baseKey, precision: maxPrecision, diagnostics }];
             } catch (error) {
                 return [`Error normalizing table: ${tableName} - ${error.message}`, null];
             }
         }
 
         /**
-         * Find a unit by its key in the table.
-         * Resolves aliases and returns the actual unit data as a ConversionUnit.
+         * Validates a raw table and returns its diagnostics, each `{ code, unit, message, severity }`.
          *
-         * @param {string} unitKey - The unit or alias key to search for.
-         * @returns {[string|null, ConversionUnit|null]} A tuple with the error message (or null), and the ConversionUnit object (or null).
+         * Errors ('error'): MISSING_BASE, DUPLICATE_BASE, INVALID_UNIT, INVALID_UNIT_KEY, UNKNOWN_ALIAS, ALIAS_CYCLE, UNKNOWN_MINOR,
+         * INVALID_MINOR, INVALID_SCALE, INVALID_BIAS, INVALID_TERM, INVALID_PREFIX, INVALID_ALIAS and INVALID_TRANSFORM.
+         * Warnings ('warning'): ALIAS_CHAIN, MINOR_NOT_SMALLER, BASE_NOT_IDENTITY and MISSING_TERM.
+         *
+         * @param {Object} rawTable - The raw conversion table object.
+         * @returns {Array<{code: string, unit: string|null, message: string, severity: string}>} The diagnostics (empty when the table is clean).
          */
-        findUnit(unitKey) {
-            let unitData = this.table[unitKey];
+        static validate(rawTable) {
+            const [prefixError, prefixedTable] = ConversionTable.expandPrefixes(rawTable);
+            if (prefixError) return [{ code: 'INVALID_PREFIX', unit: null, message: prefixError, severity: 'error' }];
+            const [aliasError, table] = ConversionTable.expandAliases(prefixedTable);
+            if (aliasError) return [{ code: 'INVALID_ALIAS', unit: null, message: aliasError, severity: 'error' }];
+            return ConversionTable._diagnose(table);
+        }
 
-            if (!unitData) {
-                return [`Unit '${unitKey}' not found in table '${this.tableName}'.`, null];
-            }
+        /**
+         * Expands the units declaring `prefixes` into their prefixed units, e.g. `'m'` with `prefixes: ['k', 'c']`
+         * adds `'km'` ("Kilometer(s)") and `'cm'` ("Centimeter(s)") right after `'m'`.
+         *
+         * `prefixes` is a prefix group ('metric' or 'binary'), or an array of prefix symbols and groups.
+         * Prefixed units take the scale of their unit times the prefix factor, and keep its bias.
+         * A unit declared explicitly in the table takes precedence over a generated unit with the same key.
+         *
+         * @param {Object} table - The raw conversion table object.
+         * @returns {[string|null, Object|null]} A tuple with the error message (or null), and the expanded raw table (or null).
+         */
+        static expandPrefixes(table) {
+            const expanded = {};
+
+            for (const key in table) {
+                const value = table[key];
+                expanded[key] = value;
+                if (value.prefixes === undefined) continue;
+
+                if (value.alias) return [`Unit '${key}' cannot declare prefixes: it is an alias.`, null];
+                if (!ConversionTable._isLinear(value)) return [`Unit '${key}' cannot declare prefixes: it is not linear.`, null];
+
+                const [prefixError, prefixes] = ConversionTable._resolvePrefixes(value.prefixes);
+                if (prefixError) return [`${prefixError.slice(0, -1)} in unit '${key}'.`, null];
 
-            // If it's an alias, resolve it to the actual unit
-            if (unitData.alias) {
-                const resolvedData = this.table[unitData.alias];
-                if (!resolvedData) {
-                    return [`Alias '${unitKey}' does not map to a valid unit in the table.`, null];
+                const term = ConversionTable._parseTerm(value.term);
+                for (const [symbol, [name, factor]] of prefixes) {
+                    const prefixedKey = symbol + key;
+                    if (prefixedKey in table) continue;
+                    if (prefixedKey in expanded) {
+                        return [`Prefixed unit '${prefixedKey}' of '${key}' collides with another prefixed unit.`, null];
+                    }
+
+                    const prefix = (word) => name + word.charAt(0).toLowerCase() + word.slice(1);
+                    const exactScale = typeof value.scale === 'string' ? Rational.parse(value.scale) : null;
+                    expanded[prefixedKey] = {
+                        scale: exactScale ? exactScale.multiply(Rational.fromNumber(factor)).toString() : factor * (value.scale ?? 1),
+                        bias: value.bias,
+                        term: term && term.map(prefix),
+                    };
                 }
-                unitData = resolvedData;
             }
 
-            // Return a ConversionUnit object with all required fields
-            return [null, new ConversionUnit({
-                alias: unitData.alias || null,
-                base: unitData.base || false,
-                bias: unitData.bias || 0,
-                minor: unitData.minor || null,
-                scale: unitData.scale || 1,
-                term: unitData.term || null
-            })];
+            return [null, expanded];
         }
 
         /**
-         * Builds a regular expression from the normalized table of units.
+         * Expands the `aliases` declared by units into alias entries, e.g. `'in'` with `aliases: ['"', 'inch']`
+         * adds `'"': { alias: 'in' }` and `'inch': { alias: 'in' }` right after `'in'`.
          *
-         * @param {Object} table - The normalized conversion table object.
-         * @param {string} tableName - The name of the conversion table (optional).
-         * @returns {[string|null, string|null]} A tuple with the error (or null) and the regex string (or null).
+         * @param {Object} table - The raw conversion table object.
+         * @returns {[string|null, Object|null]} A tuple with the error message (or null), and the expanded raw table (or null).
          */
-        static buildRegexString(table, tableName = '') {
-            try {
-                const units = Object.keys(table);
-                if (units.length === 0) return [`table:${tableName} No units found to build regex.`, null];
+        static expandAliases(table) {
+            const expanded = {};
+            const declaredBy = {};
 
-                // Sort units by length in descending order to avoid conflicts like 'c' and 'cm'
-                units.sort((a, b) => b.length - a.length);
-                const regexString = `^\\s*(?<majorValue>\\d+(?:\\.\\d+)?)\\s*(?<majorUnit>${units.join('|')})?\\s*(?<minorValue>\\d+(?:\\.\\d+)?)?\\s*$`;
+            for (const key in table) {
+                const value = table[key];
+                expanded[key] = value;
+                if (value === null || typeof value !== 'object' || value.aliases === undefined) continue;
 
-                return [null, regexString];
-            } catch (error) {
-                return [`Error building regex for table:${tableName} ${error.message}`, null];
+                const { aliases } = value;
+                if (!Array.isArray(aliases) || !aliases.every((alias) => typeof alias === 'string' && alias)) {
+                    return [`Unit '${key}' has invalid aliases; they must be an array of unit keys.`, null];
+                }
+
+                for (const alias of aliases) {
+                    if (Object.prototype.hasOwnProperty.call(table, alias)) {
+                        return [`Alias '${alias}' of '${key}' collides with unit '${alias}'.`, null];
+                    }
+                    if (Object.prototype.hasOwnProperty.call(declaredBy, alias)) {
+                        return [`Alias '${alias}' of '${key}' is already an alias of '${declaredBy[alias]}'.`, null];
+                    }
+                    declaredBy[alias] = key;
+                    expanded[alias] = { alias: key };
+                }
             }
+
+            return [null, expanded];
         }
 
         /**
-         * Rounds a number to the specified precision.
+         * Builds the raw table of a derived quantity from the units of its component tables, e.g. speed
+         * from length and time ("m/s", "km/h", "mi/h", ...) or area from length squared ("m²", "ft²").
          *
-         * @param {number} num - The number to round.
-         * @param {number} precision - The maximum number of decimal places to round to.
-         * @returns {number} The rounded number.
-         * @private
+         * Every combination of component units (aliases excluded) becomes a unit. Its scale is the product
+         * of the component scales raised to their powers, and the combination of base units is the base unit.
+         *
+         * @param {Array<{table: ConversionTable, power: number}>} factors - The component tables and their non-zero integer powers.
+         * @returns {[string|null, Object|null]} A tuple with the error message (or null), and the raw derived table (or null).
          */
-        static _roundToPrecision(num, precision) {
-            return parseFloat(num.toFixed(precision));
+        static deriveTable(factors) {
+            for (const { table } of factors) {
+                const biased = Object.keys(table.table).find((key) => table.table[key].bias);
+                if (biased) {
+                    return [`Table '${table.tableName}' cannot be combined: unit '${biased}' has a bias.`, null];
+                }
+                const nonLinear = Object.keys(table.table).find((key) => !ConversionTable._isLinear(table.table[key]));
+                if (nonLinear) {
+                    return [`Table '${table.tableName}' cannot be combined: unit '${nonLinear}' is not linear.`, null];
+                }
+            }
+
+            // Start from a single empty combination and extend it with the units of every factor
+            let combinations = [{ numerator: [], denominator: [], scale: 1, base: true }];
+            for (const { table, power } of factors) {
+                const units = Object.keys(table.table).filter((key) => (table.table[key].alias || key) === key);
+                combinations = combinations.flatMap((combination) => units.map((key) => {
+                    const unit = table.table[key];
+                    const part = { key, power: Math.abs(power), term: unit.term || [key, key] };
+                    return {
+                        numerator: power > 0 ? [...combination.numerator, part] : combination.numerator,
+                        denominator: power < 0 ? [...combination.denominator, part] : combination.denominator,
+                        scale: combination.scale * Math.pow(unit.scale, power),
+                        base: combination.base && key === table.base,
+                    };
+                }));
+            }
+
+            const rawTable = {};
+            for (const { numerator, denominator, scale, base } of combinations) {
+                const [key, term] = ConversionTable._derivedName(numerator, denominator);
+                rawTable[key] = base ? { base: true, term } : { scale, term };
+            }
+            return [null, rawTable];
         }
 
         /**
-         * Returns the number of digits after the decimal point in a number.
+         * Finds the unit key matching a unit as typed, following the table's matching options: "CM" gives 'cm'
+         * in a case-insensitive table, and "μm" (Greek mu) gives 'µm' (micro sign). An exact match wins over a
+         * case-insensitive one; otherwise the first matching unit in table order is used. When no key matches,
+         * the singular and plural terms are tried, ignoring case: "inches" gives 'in'.
          *
-         * @param {number} num - The number to check.
-         * @returns {number} The number of digits after the decimal point.
-         * @private
+         * @param {string} text - The unit as typed.
+         * @returns {string|null} The unit key (or null when no unit matches).
          */
-        static _getPrecision(num) {
-            if (!isFinite(num)) return 0;
-            const parts = num.toString().split('.');
-            return parts.length > 1 ? parts[1].length : 0;
+        matchUnit(text) {
+            if (Object.prototype.hasOwnProperty.call(this.table, text)) return text;
+
+            const { sensitiveKeys, insensitiveKeys, terms } = this._compiled();
+            const { ignoreWhitespace } = { ...DEFAULT_MATCHING, ...this.matching };
+            const sensitive = sensitiveKeys.get(ConversionTable._foldTyped(text, true, ignoreWhitespace));
+            const insensitive = insensitiveKeys.get(ConversionTable._foldTyped(text, false, ignoreWhitespace));
+            const found = sensitive && insensitive
+                ? (sensitive.order < insensitive.order ? sensitive : insensitive)
+                : sensitive || insensitive;
+            if (found) return found.key;
+            return terms.get(ConversionTable._foldTyped(text, false, ignoreWhitespace)) ?? null;
         }
 
         /**
-         * Helper function to get normalized unit with scale, bias, and term.
+         * Resolves a unit key to the unit it stands for, following alias chains to their end.
          *
-         * @param {Object} value - The raw value of the unit.
-         * @returns {Object} The normalized unit with proper scale, bias, and term structure.
-         * @private
+         * @param {string} unitKey - The unit or alias key to resolve.
+         * @returns {[string|null, {key: string, unit: Object}|null]} A tuple with the error message (or null), and the
+         *                                                           key and normalized data of the actual unit (or null).
          */
-        static _getNormalizedUnit(value) {
-            const { base, scale = 1, bias = 0, alias, minor, term } = value;
-
-            let normalizedTerm = term;
-            if (typeof term === 'string') {
-                normalizedTerm = ConversionTable._parseTerm(term);
-            }
-
-            return {
-                base: !!base,
-                scale,
-                bias,
-                alias: alias || null,
-                minor: minor || null,
-                term: normalizedTerm,
-            };
+        resolveUnit(unitKey) {
+            const entry = Object.prototype.hasOwnProperty.call(this.table, unitKey) && this._compiled().units.get(unitKey);
+            if (entry) return [null, { key: entry.key, unit: entry.unit }];
+            return ConversionTable._resolveAlias(this.table, unitKey, this.tableName);
         }
 
         /**
-         * Helper function to parse term into singular and plural forms.
+         * Returns the unit index of the table: every unit and alias key that resolves, mapped to the key and data
+         * of the actual unit and the key of its minor unit (null when it has none), with aliases followed.
          *
-         * @param {string} term - The term string (e.g., "Meter(s)" or "Foot/Feet").
-         * @returns {[string, string]} An array containing the singular and plural forms of the term.
-         * @private
+         * @returns {Map<string, {key: string, unit: Object, minor: string|null}>} The unit index.
          */
-        static _parseTerm(term) {
-            if (Array.isArray(term)) return term;
-
-            const matchParentheses = term?.match(/^([^\(]+)\(([^\)]+)\)$/);
-            const matchSlash = term?.match(/^([^\/]+)\/(.+)$/);
+        unitIndex() {
+            return this._compiled().units;
+        }
 
-            if (matchParentheses) {
-                return [matchParentheses[1], matchParentheses[1] + matchParentheses[2]];
-            } else if (matchSlash) {
-                return [matchSlash[1], matchSlash[2]];
-            } else if (term) {
-                return [term, term];
-            }
+        /**
+         * Returns the compiled regex of `regexString`. The regex is shared by all parsing with the table's own
+         * number format; build a new one from `regexString` to change its flags or `lastIndex`.
+         *
+         * @returns {RegExp} The compiled matcher.
+         */
+        matcher() {
+            return this._compiled().matcher;
+        }
 
-            return null;
+        /**
+         * Marks the table as changed, so that the compiled matchers and the unit index are rebuilt when next needed.
+         * Edits through `addUnit()`, `updateUnit()` and `removeUnit()` do it themselves, and assigning a new `table`,
+         * `regexString`, `matching` or `numberFormat` is noticed without it; call it after changing units in place.
+         */
+        invalidate() {
+            this._version++;
+            this._cache = null;
         }
 
         /**
-         * Pluralizes a unit based on the provided value.
+         * Returns the compiled matchers and unit index, building them when missing or out of date: when the table
+         * changed (see `invalidate()`) or one of the fields they were built from was replaced.
          *
-         * @param {string} unit - The unit key to pluralize (e.g., 'm', 'cm', etc.).
-         * @param {number} value - The value to decide if singular or plural.
-         * @returns {string} The singular or plural form of the unit term.
+         * @returns {Object} The compiled table (see `_compile()`).
          * @private
          */
-        _pluralize(unit, value) {
-            const unitData = this.table[unit];
-            if (!unitData || !unitData.term) return unit;
-            return value === 1 ? unitData.term[0] : unitData.term[1];
+        _compiled() {
+            const cache = this._cache;
+            if (!cache || cache.version !== this._version || cache.table !== this.table || cache.regexString !== this.regexString
+                || cache.matching !== this.matching || cache.numberFormat !== this.numberFormat) {
+                this._cache = ConversionTable._compile(this);
+            }
+            return this._cache;
         }
-    }
 
-    // ConversionTableOperations class: Responsible for handling conversion operations
-    class ConversionTableOperations {
         /**
-         * Parses an input string into a structured object with unit and value information.
+         * Find a unit by its key in the table.
+         * Resolves aliases and returns the actual unit data as a ConversionUnit.
          *
-         * @param {string} input - The input string to parse (e.g., "2in").
-         * @param {ConversionTable} conversionTable - The conversion table to use for parsing.
-         * @returns {[string|null, Object|null]} A tuple with the error message (or null), and the parsed result (or null).
+         * @param {string} unitKey - The unit or alias key to search for.
+         * @returns {[string|null, ConversionUnit|null]} A tuple with the error message (or null), and the ConversionUnit object (or null).
+         */
+        findUnit(unitKey) {
+            const [error, resolved] = this.resolveUnit(unitKey);
+            if (error) return [error, null];
+
+            const { key, unit: unitData } = resolved;
+
+            // Return a ConversionUnit object with all required fields
+            return [null, new ConversionUnit({
+                alias: key !== unitKey ? key : null,
+                base: unitData.base || false,
+                bias: unitData.bias || 0,
+                minor: unitData.minor || null,
+                scale: unitData.scale || 1,
+                term: unitData.term || null
+            })];
+        }
+
+        /**
+         * Adds a unit or an alias (`{ alias: 'in' }`) to the table. The unit is given as in a raw table, so it may
+         * declare `prefixes` and `aliases` too.
+         *
+         * Like every edit, the table is normalized again and its regex rebuilt. Edits that would leave the table
+         * with unknown aliases or minor units, or with any other error the table did not have before, are refused
+         * and leave the table unchanged.
+         *
+         * @param {string} key - The key of the new unit.
+         * @param {Object} unit - The raw unit data.
+         * @returns {[string|null, string|null]} Tuple with error message (or null), and success message (or null).
+         */
+        addUnit(key, unit) {
+            if (Object.prototype.hasOwnProperty.call(this.table, key)) {
+                return [`Unit '${key}' already exists in table '${this.tableName}'.`, null];
+            }
+            if (unit?.base) {
+                return [`Cannot add '${key}' as a base unit; table '${this.tableName}' already has base unit '${this.base}'.`, null];
+            }
+            return this._edit('add', key, (rawTable) => { rawTable[key] = unit; });
+        }
+
+        /**
+         * Changes a unit or an alias of the table. The changes are merged into the unit as it would be written in a
+         * raw table; give `alias: null` to turn an alias into a unit of its own, or `minor: null` to drop a minor unit.
+         * The base unit stays the base unit (see `addUnit()` for how edits are checked).
+         *
+         * @param {string} key - The key of the unit to change.
+         * @param {Object} changes - The raw unit properties to change.
+         * @returns {[string|null, string|null]} Tuple with error message (or null), and success message (or null).
+         */
+        updateUnit(key, changes) {
+            if (!Object.prototype.hasOwnProperty.call(this.table, key)) {
+                return [`Unit '${key}' not found in table '${this.tableName}'.`, null];
+            }
+            if (typeof changes !== 'object' || changes === null) {
+                return [`Invalid changes for unit '${key}'.`, null];
+            }
+            if (key === this.base && (changes.base === false || changes.alias)) {
+                return [`Unit '${key}' is the base unit of table '${this.tableName}' and must stay a base unit.`, null];
+            }
+            if (key !== this.base && changes.base) {
+                return [`Cannot make '${key}' the base unit; table '${this.tableName}' already has base unit '${this.base}'.`, null];
+            }
+            return this._edit('update', key, (rawTable) => { rawTable[key] = { ...rawTable[key], ...changes }; });
+        }
+
+        /**
+         * Removes a unit or an alias from the table. The base unit cannot be removed, nor a unit that aliases
+         * or minor units refer to (see `addUnit()` for how edits are checked).
+         *
+         * @param {string} key - The key of the unit to remove.
+         * @returns {[string|null, string|null]} Tuple with error message (or null), and success message (or null).
+         */
+        removeUnit(key) {
+            if (!Object.prototype.hasOwnProperty.call(this.table, key)) {
+                return [`Unit '${key}' not found in table '${this.tableName}'.`, null];
+            }
+            if (key === this.base) {
+                return [`Cannot remove the base unit '${key}' of table '${this.tableName}'.`, null];
+            }
+            return this._edit('remove', key, (rawTable) => { delete rawTable[key]; });
+        }
+
+        /**
+         * Writes the table back as a raw table, as exports do: every unit and alias with its normalized data,
+         * and exact scales and biases as their strings. The result can be registered again.
+         *
+         * @returns {Object} The raw conversion table.
+         */
+        toRawTable() {
+            const rawTable = ConversionTableSerializer.toRawTable({
+                base: this.base,
+                units: ConversionTableSerializer.serialize({ [this.tableName]: this }).tables[this.tableName].units,
+            });
+            // Documents cannot hold functions: units converting with their own functions keep them as they are
+            for (const [key, unit] of Object.entries(this.table)) {
+                if (unit.toBase && !unit.transform && !rawTable[key].alias) {
+                    Object.assign(rawTable[key], { toBase: unit.toBase, fromBase: unit.fromBase });
+                }
+            }
+            return rawTable;
+        }
+
+        /**
+         * Creates a copy of the table with another unit as its base unit, for example inches instead of points.
+         * Every scale and bias is recomputed relative to the new base: a unit worth `scale` old base units is worth
+         * `scale / newScale` new ones. The computation is exact; scales and biases stay exact strings when the unit
+         * or the new base unit has exact ones ("72/2.54"), and are numbers otherwise. Non-linear units keep their
+         * transform or functions; they cannot become the base unit.
+         *
+         * @param {string} unitKey - The unit (or an alias of the unit) to become the base unit.
+         * @returns {[string|null, ConversionTable|null]} A tuple with the error message (or null), and the rebased table (or null).
+         */
+        rebase(unitKey) {
+            const [unitError, resolved] = this.resolveUnit(unitKey);
+            if (unitError) return [unitError, null];
+
+            const { key: baseKey, unit: baseUnit } = resolved;
+            if (!ConversionTable._isLinear(baseUnit)) {
+                return [`Cannot rebase table '${this.tableName}' on '${baseKey}': it is not linear.`, null];
+            }
+            const baseScale = ConversionTable._exactOf(baseUnit, 'scale');
+            const baseBias = ConversionTable._exactOf(baseUnit, 'bias');
+
+            const rawTable = this.toRawTable();
+            for (const [key, unit] of Object.entries(rawTable)) {
+                if (unit.alias) continue;
+
+                const normalized = this.table[key];
+                const scale = ConversionTable._exactOf(normalized, 'scale').divide(baseScale);
+                const bias = ConversionTable._exactOf(normalized, 'bias').subtract(baseBias).divide(baseScale);
+                const exact = normalized.exact || baseUnit.exact;
+                Object.assign(unit, {
+                    base: key === baseKey,
+                    scale: exact ? scale.toString() : scale.toNumber(),
+                    bias: exact && bias.toString() !== '0' ? bias.toString() : bias.toNumber(),
+                });
+            }
+
+            return ConversionTable.factory(rawTable, this.tableName, {
+                numberFormat: this.numberFormat,
+                dimension: this.dimension,
+                ...this.matching,
+            });
+        }
+
+        /**
+         * Applies an edit to the raw form of the table, normalizes the result like `factory()`, and replaces the
+         * table's units, base, regex, precision and diagnostics with it unless it adds errors.
+         *
+         * @param {string} action - The edit, for error messages ('add', 'update' or 'remove').
+         * @param {string} key - The key of the edited unit.
+         * @param {function(Object): void} edit - Changes the raw table in place.
+         * @returns {[string|null, string|null]} Tuple with error message (or null), and success message (or null).
+         * @private
+         */
+        _edit(action, key, edit) {
+            const [done, preposition] = { add: ['added', 'to'], update: ['updated', 'in'], remove: ['removed', 'from'] }[action];
+            const refuse = (reason) => [`Cannot ${action} unit '${key}' ${preposition} table '${this.tableName}': ${reason}`, null];
+
+            const rawTable = this.toRawTable();
+            edit(rawTable);
+
+            const [factoryError, edited] = ConversionTable.factory(rawTable, this.tableName, {
+                numberFormat: this.numberFormat,
+                dimension: this.dimension,
+                ...this.matching,
+            });
+            if (factoryError) return refuse(factoryError);
+
+            const known = new Set(this.diagnostics.map(({ message }) => message));
+            const added = edited.diagnostics.filter(({ severity, message }) => severity === 'error' && !known.has(message));
+            if (added.length) return refuse(added.map(({ message }) => message).join(' '));
+
+            for (const field of ['table', 'base', 'regexString', 'precision', 'diagnostics']) {
+                this[field] = edited[field];
+            }
+            this.invalidate();
+            return [null, `Unit '${key}' ${done} ${preposition} table '${this.tableName}'.`];
+        }
+
+        /**
+         * Builds a regular expression from the normalized table of units.
+         *
+         * The major value may be signed and use scientific notation; both values use the decimal and
+         * thousands separators of `numberFormat`.
+         *
+         * @param {Object} table - The normalized conversion table object.
+         * @param {string} tableName - The name of the conversion table (optional).
+         * @param {{decimal: string, thousands: string}} [numberFormat] - The separators used in numbers (optional).
+         * @param {{caseSensitive: boolean, ignoreWhitespace: boolean}} [matching] - The unit matching options (optional).
+         * @returns {[string|null, string|null]} A tuple with the error (or null) and the regex string (or null).
+         */
+        static buildRegexString(table, tableName = '', numberFormat = DEFAULT_NUMBER_FORMAT, matching = DEFAULT_MATCHING) {
+            try {
+                if (Object.keys(table).length === 0) return [`table:${tableName} No units found to build regex.`, null];
+
+                const regexString = `^\\s*${ConversionTable._measurementPattern(table, numberFormat, true, matching)}\\s*$`;
+                const [compileError] = ConversionTable._compileRegex(regexString, 'u'); // Fail here rather than when parsing
+                if (compileError) return [`Error building regex for table:${tableName} ${compileError}`, null];
+                return [null, regexString];
+            } catch (error) {
+                return [`Error building regex for table:${tableName} ${error.message}`, null];
+            }
+        }
+
+        /**
+         * Compiles a regex pattern.
+         *
+         * @param {string} pattern - The regex pattern.
+         * @param {string} flags - The regex flags.
+         * @returns {[string|null, RegExp|null]} A tuple with the error message (or null), and the regex (or null).
+         * @private
+         */
+        static _compileRegex(pattern, flags) {
+            try {
+                return [null, new RegExp(pattern, flags)];
+            } catch (error) {
+                return [error.message, null];
+            }
+        }
+
+        /**
+         * Builds the unanchored pattern matching a single measurement ("10p2", "3.5 cm", "2 picas 6 points",
+         * "1h 20min 15s"), with the named groups `majorValue`, `majorUnit`, `minorValue`, `minorUnit` and
+         * `components` (any further values with their units, see `_componentPattern()`). Units may be typed as
+         * their keys or as their singular or plural terms.
+         *
+         * Each number is matched atomically (see `_atomicPattern()`), so a run of digits is never split between
+         * the major value, the minor value and the components: rejecting a long invalid input takes linear time.
+         *
+         * @param {Object} table - The normalized conversion table object.
+         * @param {{decimal: string, thousands: string}} numberFormat - The separators used in numbers.
+         * @param {boolean} signed - Whether the major value may carry a sign.
+         * @param {{caseSensitive: boolean, ignoreWhitespace: boolean}} [matching] - The unit matching options.
+         * @returns {string} The regex pattern.
+         * @private
+         */
+        static _measurementPattern(table, numberFormat, signed, matching = DEFAULT_MATCHING) {
+            const units = ConversionTable._unitsPattern(table, matching);
+            const number = ConversionTable._numberPattern(numberFormat, false);
+            const majorNumber = ConversionTable._atomicPattern(ConversionTable._numberPattern(numberFormat, signed), 'majorNumber');
+            const minorNumber = ConversionTable._atomicPattern(number, 'minorNumber');
+            const componentNumber = ConversionTable._atomicPattern(number, 'componentNumber');
+            const components = `(?<components>(?:\\s*${componentNumber}\\s*(?:${units}))*)`;
+            return `(?<majorValue>${majorNumber})\\s*(?<majorUnit>${units})?\\s*(?:(?<minorValue>${minorNumber})\\s*(?<minorUnit>${units})?${components})?`;
+        }
+
+        /**
+         * Wraps a pattern so that it matches like an atomic group: the lookahead captures its first match, which
+         * the backreference then consumes whole, so the regex never backtracks into it.
+         *
+         * @param {string} pattern - The pattern to wrap.
+         * @param {string} name - The name of the capturing group, unique within the regex.
+         * @returns {string} The regex pattern.
+         * @private
+         */
+        static _atomicPattern(pattern, name) {
+            return `(?=(?<${name}>${pattern}))\\k<${name}>`;
+        }
+
+        /**
+         * Builds the pattern matching one further component of a composite measurement (the "15s" in
+         * "1h 20min 15s"), with the named groups `value` and `unit`.
+         *
+         * @param {Object} table - The normalized conversion table object.
+         * @param {{decimal: string, thousands: string}} numberFormat - The separators used in numbers.
+         * @param {{caseSensitive: boolean, ignoreWhitespace: boolean}} [matching] - The unit matching options.
+         * @returns {string} The regex pattern.
+         * @private
+         */
+        static _componentPattern(table, numberFormat, matching = DEFAULT_MATCHING) {
+            const number = ConversionTable._numberPattern(numberFormat, false);
+            return `\\s*(?<value>${number})\\s*(?<unit>${ConversionTable._unitsPattern(table, matching)})`;
+        }
+
+        /**
+         * Builds the alternation of all unit keys and terms, longest first. Keys follow the table's and their own
+         * `caseSensitive` setting; terms are words rather than symbols, so they always match ignoring case.
+         *
+         * @param {Object} table - The normalized conversion table object.
+         * @param {{caseSensitive: boolean, ignoreWhitespace: boolean}} [matching] - The unit matching options.
+         * @returns {string} The regex pattern.
+         * @private
+         */
+        static _unitsPattern(table, matching = DEFAULT_MATCHING) {
+            const { caseSensitive, ignoreWhitespace } = { ...DEFAULT_MATCHING, ...matching };
+
+            const patterns = new Map();
+            for (const [key, unit] of Object.entries(table)) {
+                patterns.set(key, ConversionTable._unitPattern(key, unit.caseSensitive ?? caseSensitive, ignoreWhitespace));
+            }
+            for (const unit of Object.values(table)) {
+                for (const term of ConversionTable._unitTerms(unit)) {
+                    if (patterns.has(term)) continue;
+                    const words = term.split(/\s+/).map((word) => ConversionTable._unitPattern(word, false, ignoreWhitespace));
+                    patterns.set(term, words.join(ignoreWhitespace ? '\\s*' : '\\s+'));
+                }
+            }
+
+            // Sort units by length in descending order to avoid conflicts like 'c' and 'cm'
+            return [...patterns.keys()]
+                .sort((a, b) => b.length - a.length)
+                .map((text) => patterns.get(text))
+                .join('|');
+        }
+
+        /**
+         * Builds the pattern matching one unit key. Regex metacharacters are escaped, so keys like "in.", "m/s"
+         * or "(US)" match literally. The key is compared in Unicode NFC form, and the micro sign and the Greek
+         * mu match each other. Letters of case-insensitive units match either case, and with `ignoreWhitespace`
+         * whitespace in the key and around '/' and '·' becomes optional.
+         *
+         * @param {string} key - The unit key.
+         * @param {boolean} caseSensitive - Whether the unit must be typed with its exact case.
+         * @param {boolean} ignoreWhitespace - Whether whitespace in the unit is optional.
+         * @returns {string} The regex pattern.
+         * @private
+         */
+        static _unitPattern(key, caseSensitive, ignoreWhitespace) {
+            return Array.from(key.normalize('NFC')).map((char) => {
+                if (ignoreWhitespace && /\s/.test(char)) return '\\s*';
+                if (ignoreWhitespace && (char === '/' || char === '·')) return `\\s*${ConversionTable._escapeRegex(char)}\\s*`;
+
+                const variants = new Set(UNIT_CHARACTER_VARIANTS.find((group) => group.includes(char)) || char);
+                if (!caseSensitive) {
+                    for (const variant of [...variants]) {
+                        const lower = variant.toLowerCase();
+                        const upper = variant.toUpperCase();
+                        if (lower.length === 1 && upper.length === 1) variants.add(lower).add(upper);
+                    }
+                }
+
+                if (variants.size === 1) return ConversionTable._escapeRegex(char);
+                return `[${[...variants].map((variant) => variant.replace(/[\]\\^-]/, '\\$&')).join('')}]`;
+            }).join('');
+        }
+
+        /**
+         * Lists the singular and plural terms a unit can be typed as. Terms that could not be told apart
+         * from the number before them (like "12") are left out.
+         *
+         * @param {Object} unit - The normalized unit.
+         * @returns {string[]} The distinct terms.
+         * @private
+         */
+        static _unitTerms(unit) {
+            if (!Array.isArray(unit.term)) return [];
+            return [...new Set(unit.term)].filter((term) => typeof term === 'string' && !ConversionTable._unitKeyProblem(term));
+        }
+
+        /**
+         * Folds a unit key or a typed unit for comparison: NFC form, with character variants folded together.
+         *
+         * @param {string} text - The unit key or typed unit.
+         * @returns {string} The folded text.
+         * @private
+         */
+        static _foldUnit(text) {
+            return Array.from(text.normalize('NFC'))
+                .map((char) => (UNIT_CHARACTER_VARIANTS.find((group) => group.includes(char)) || char)[0])
+                .join('');
+        }
+
+        /**
+         * Folds a unit key, term or typed unit for lookup under the table's matching options: whitespace
+         * collapsed (or removed with `ignoreWhitespace`), lowercased unless case-sensitive, and folded with `_foldUnit()`.
+         *
+         * @param {string} text - The unit key, term or typed unit.
+         * @param {boolean} caseSensitive - Whether case is kept.
+         * @param {boolean} ignoreWhitespace - Whether whitespace is removed.
+         * @returns {string} The folded text.
+         * @private
+         */
+        static _foldTyped(text, caseSensitive, ignoreWhitespace) {
+            const compact = text.replace(/\s+/g, ignoreWhitespace ? '' : ' ');
+            return ConversionTable._foldUnit(caseSensitive ? compact : compact.toLowerCase());
+        }
+
+        /**
+         * Builds what matching input against a table needs: the compiled measurement and component regexes, the
+         * unit index (see `unitIndex()`), and the folded unit keys (with their position in the table, as the first
+         * matching unit wins) and terms that `matchUnit()` looks typed units up in.
+         *
+         * @param {ConversionTable} conversionTable - The table to compile.
+         * @returns {Object} The compiled table, with the fields it was built from.
+         * @private
+         */
+        static _compile(conversionTable) {
+            const { table, tableName, regexString, matching, numberFormat, _version: version } = conversionTable;
+            const { caseSensitive, ignoreWhitespace } = { ...DEFAULT_MATCHING, ...matching };
+            const keys = Object.keys(table);
+
+            const units = new Map();
+            const sensitiveKeys = new Map();
+            const insensitiveKeys = new Map();
+            keys.forEach((key, order) => {
+                const [, resolved] = ConversionTable._resolveAlias(table, key, tableName);
+                if (resolved) units.set(key, { ...resolved, minor: null });
+
+                const unitCaseSensitive = table[key].caseSensitive ?? caseSensitive;
+                const folded = ConversionTable._foldTyped(key, unitCaseSensitive, ignoreWhitespace);
+                const byCase = unitCaseSensitive ? sensitiveKeys : insensitiveKeys;
+                if (!byCase.has(folded)) byCase.set(folded, { key, order });
+            });
+            for (const entry of units.values()) {
+                const minor = entry.unit.minor !== undefined && units.get(entry.unit.minor);
+                if (minor) entry.minor = minor.key;
+            }
+
+            const terms = new Map();
+            for (const key of keys) {
+                for (const term of ConversionTable._unitTerms(table[key])) {
+                    const folded = ConversionTable._foldTyped(term, false, ignoreWhitespace);
+                    if (!terms.has(folded)) terms.set(folded, key);
+                }
+            }
+
+            return {
+                version, table, regexString, matching, numberFormat,
+                matcher: new RegExp(regexString, 'u'),
+                component: new RegExp(ConversionTable._componentPattern(table, numberFormat || DEFAULT_NUMBER_FORMAT, matching), 'yu'),
+                units, sensitiveKeys, insensitiveKeys, terms,
+            };
+        }
+
+        /**
+         * Resolves a unit key to the unit it stands for by following alias chains through the table.
+         *
+         * @param {Object} table - The normalized conversion table object.
+         * @param {string} unitKey - The unit or alias key to resolve.
+         * @param {string} tableName - The name of the table, for the error message.
+         * @returns {[string|null, {key: string, unit: Object}|null]} A tuple with the error message (or null), and the
+         *                                                           key and normalized data of the actual unit (or null).
+         * @private
+         */
+        static _resolveAlias(table, unitKey, tableName) {
+            const has = (key) => Object.prototype.hasOwnProperty.call(table, key);
+            if (!has(unitKey)) {
+                return [`Unit '${unitKey}' not found in table '${tableName}'.`, null];
+            }
+
+            let key = unitKey;
+            const visited = new Set([key]);
+            while (table[key].alias && table[key].alias !== key) {
+                key = table[key].alias;
+                if (!has(key)) return [`Alias '${unitKey}' does not map to a valid unit in the table.`, null];
+                if (visited.has(key)) return [`Alias '${unitKey}' resolves in a cycle.`, null];
+                visited.add(key);
+            }
+            return [null, { key, unit: table[key] }];
+        }
+
+        /**
+         * Rounds a number to the specified precision.
+         *
+         * @param {number} num - The number to round.
+         * @param {number} precision - The maximum number of decimal places to round to.
+         * @returns {number} The rounded number.
+         * @private
+         */
+        static _roundToPrecision(num, precision) {
+            return parseFloat(num.toFixed(precision));
+        }
+
+        /**
+         * Collects the diagnostics of a raw table whose prefixes are expanded (see `validate()`).
+         *
+         * @param {Object} table - The expanded raw conversion table object.
+         * @returns {Array<{code: string, unit: string|null, message: string, severity: string}>} The diagnostics.
+         * @private
+         */
+        static _diagnose(table) {
+            const diagnostics = [];
+            const report = (code, unit, message, severity = 'error') => diagnostics.push({ code, unit, message, severity });
+            const has = (key) => Object.prototype.hasOwnProperty.call(table, key);
+            const isUnit = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+            const isNumber = (value) => typeof value === 'number' && isFinite(value);
+            const numberOf = (value) => ConversionTable._toNumber(value);
+            let baseKey = null;
+
+            for (const [key, value] of Object.entries(table)) {
+                if (!isUnit(value)) {
+                    report('INVALID_UNIT', key, `Unit '${key}' must be an object.`);
+                    continue;
+                }
+
+                // Keys are matched right after the number: they cannot be empty, padded or start like a number
+                const keyProblem = ConversionTable._unitKeyProblem(key);
+                if (keyProblem) report('INVALID_UNIT_KEY', key, `Unit key '${key}' ${keyProblem}.`);
+
+                if (value.base === true) {
+                    if (baseKey) {
+                        report('DUPLICATE_BASE', key, `Unit '${key}' is declared as base unit, but '${baseKey}' already is.`);
+                    } else {
+                        baseKey = key;
+                    }
+                    if (numberOf(value.scale ?? 1) !== 1 || numberOf(value.bias ?? 0) !== 0) {
+                        report('BASE_NOT_IDENTITY', key, `Base unit '${key}' should have a scale of 1 and no bias.`, 'warning');
+                    }
+                }
+
+                // Aliases take their data from the unit ending their chain: follow the chain to its end
+                if (value.alias !== undefined && value.alias !== null) {
+                    const chain = [key];
+                    let target = value.alias;
+                    for (;;) {
+                        if (!has(target)) {
+                            report('UNKNOWN_ALIAS', key, `Alias '${key}' refers to unknown unit '${target}'.`);
+                            break;
+                        }
+                        if (chain.includes(target)) {
+                            report('ALIAS_CYCLE', key, `Alias '${key}' resolves in a cycle: ${[...chain, target].join(' → ')}.`);
+                            break;
+                        }
+                        chain.push(target);
+                        if (!isUnit(table[target]) || table[target].alias === undefined || table[target].alias === null) {
+                            if (chain.length > 2) {
+                                report('ALIAS_CHAIN', key, `Alias '${key}' refers to alias '${chain[1]}'; it resolves to '${target}'.`, 'warning');
+                            }
+                            break;
+                        }
+                        target = table[target].alias;
+                    }
+                    continue;
+                }
+
+                const { scale, bias, term, minor } = value;
+                if (scale !== undefined && !(isNumber(numberOf(scale)) && numberOf(scale) > 0)) {
+                    report('INVALID_SCALE', key, `Unit '${key}' has an invalid scale '${scale}'; it must be a positive number.`);
+                }
+                if (bias !== undefined && !isNumber(numberOf(bias))) {
+                    report('INVALID_BIAS', key, `Unit '${key}' has an invalid bias '${bias}'; it must be a finite number.`);
+                }
+
+                // Non-linear units convert single values: they cannot be the base unit or take part in minor units
+                const [transformError] = ConversionTable._transformOf(key, value);
+                if (transformError) {
+                    report('INVALID_TRANSFORM', key, transformError);
+                } else if (!ConversionTable._isLinear(value)) {
+                    if (value.base === true) report('INVALID_TRANSFORM', key, `Base unit '${key}' must be linear.`);
+                    if (minor !== undefined && minor !== null) report('INVALID_TRANSFORM', key, `Unit '${key}' is not linear and cannot have a minor unit.`);
+                }
+                if (minor !== undefined && minor !== null && isUnit(table[minor]) && !ConversionTable._isLinear(table[minor])) {
+                    report('INVALID_TRANSFORM', key, `Minor unit '${minor}' of '${key}' is not linear.`);
+                }
+
+                if (minor !== undefined && minor !== null) {
+                    if (minor === key) {
+                        report('INVALID_MINOR', key, `Unit '${key}' cannot be its own minor unit.`);
+                    } else if (!has(minor)) {
+                        report('UNKNOWN_MINOR', key, `Minor unit '${minor}' of '${key}' does not exist.`);
+                    } else if (isUnit(table[minor]) && isNumber(numberOf(scale ?? 1)) && numberOf(table[minor].scale ?? 1) >= numberOf(scale ?? 1)) {
+                        report('MINOR_NOT_SMALLER', key, `Minor unit '${minor}' of '${key}' is not smaller than '${key}'.`, 'warning');
+                    }
+                }
+
+                if (term === undefined || term === null) {
+                    report('MISSING_TERM', key, `Unit '${key}' has no term; its key is used as its name.`, 'warning');
+                } else if (typeof term !== 'string' && !(Array.isArray(term) && term.length === 2 && term.every((word) => typeof word === 'string'))) {
+                    report('INVALID_TERM', key, `Unit '${key}' has an invalid term; it must be a string or a [singular, plural] pair.`);
+                }
+            }
+
+            if (!baseKey) report('MISSING_BASE', null, 'No base unit declared.');
+            return diagnostics;
+        }
+
+        /**
+         * Checks that a unit key can be told apart from the number before it.
+         *
+         * @param {string} key - The unit key.
+         * @returns {string|null} What is wrong with the key (or null when it is fine).
+         * @private
+         */
+        static _unitKeyProblem(key) {
+            if (!key) return 'must not be empty';
+            if (/^\s|\s$/.test(key)) return 'must not start or end with whitespace';
+            if (/^[\d+\-\u2212.,/\u2044]/.test(key)) return 'must not start with a digit, a sign or a separator';
+            if (/[\u0000-\u001F\u007F]/.test(key)) return 'must not contain control characters';
+            return null;
+        }
+
+        /**
+         * Reads a scale or bias of a raw table: a number, or an exact decimal or ratio written as a string.
+         *
+         * @param {*} value - The scale or bias.
+         * @returns {number} The number (NaN when the value is neither).
+         * @private
+         */
+        static _toNumber(value) {
+            if (typeof value === 'number') return value;
+            const rational = Rational.parse(value);
+            return rational ? rational.toNumber() : NaN;
+        }
+
+        /**
+         * Returns the exact scale or bias of a normalized unit; units without an exact value use the shortest
+         * decimal of their number.
+         *
+         * @param {Object} unit - The normalized unit.
+         * @param {string} property - 'scale' or 'bias'.
+         * @returns {Rational} The exact value.
+         * @private
+         */
+        static _exactOf(unit, property) {
+            if (unit.exact?.[property]) return Rational.parse(unit.exact[property]);
+            return Rational.fromNumber(unit[property] ?? (property === 'scale' ? 1 : 0));
+        }
+
+        /**
+         * Whether a raw or normalized unit is linear, i.e. has neither a transform nor toBase/fromBase functions.
+         *
+         * @param {Object} unit - The unit.
+         * @returns {boolean} Whether the unit converts with its scale and bias alone.
+         * @private
+         */
+        static _isLinear(unit) {
+            return unit.transform == null && unit.toBase == null && unit.fromBase == null;
+        }
+
+        /**
+         * Resolves the conversion functions of a non-linear unit: its own `toBase` and `fromBase`, or those of its
+         * named `transform` (see `TRANSFORMS`). The functions must round-trip the values of `ROUND_TRIP_SAMPLES`
+         * they convert to finite numbers.
+         *
+         * @param {string} key - The unit key, for error messages.
+         * @param {Object} unit - The raw unit.
+         * @returns {[string|null, {transform: Object|undefined, toBase: Function, fromBase: Function}|null]} A tuple with
+         *          the error message (or null), and the conversion functions with the normalized transform (or null
+         *          for linear units).
+         * @private
+         */
+        static _transformOf(key, unit) {
+            const { transform, toBase, fromBase } = unit;
+            if (ConversionTable._isLinear(unit)) return [null, null];
+            if (transform != null && (toBase != null || fromBase != null)) {
+                return [`Unit '${key}' cannot have both a transform and toBase/fromBase functions.`, null];
+            }
+
+            let converter;
+            if (transform == null) {
+                if (typeof toBase !== 'function' || typeof fromBase !== 'function') {
+                    return [`Unit '${key}' must have both toBase and fromBase functions.`, null];
+                }
+                converter = { toBase, fromBase };
+            } else {
+                const { name, ...parameters } = typeof transform === 'string' ? { name: transform } : transform;
+                const definition = Object.prototype.hasOwnProperty.call(TRANSFORMS, name) ? TRANSFORMS[name] : null;
+                if (!definition) {
+                    const names = Object.keys(TRANSFORMS).map((known) => `'${known}'`).join(' or ');
+                    return [`Unit '${key}' has an unknown transform '${name}'; use ${names}.`, null];
+                }
+                const unknown = Object.keys(parameters).find((parameter) => !Object.prototype.hasOwnProperty.call(definition.parameters, parameter));
+                if (unknown) return [`Transform '${name}' of unit '${key}' has no parameter '${unknown}'.`, null];
+
+                const normalized = { name, ...definition.parameters, ...parameters };
+                const problem = definition.check(normalized);
+                if (problem) return [`Transform '${name}' of unit '${key}' has an invalid ${problem}.`, null];
+                converter = { transform: normalized, toBase: definition.toBase(normalized), fromBase: definition.fromBase(normalized) };
+            }
+
+            for (const sample of ROUND_TRIP_SAMPLES) {
+                let inBase;
+                let back;
+                try {
+                    inBase = converter.toBase(sample);
+                    if (typeof inBase !== 'number' || !isFinite(inBase)) continue;
+                    back = converter.fromBase(inBase);
+                } catch (error) {
+                    return [`Unit '${key}' cannot convert ${sample}: ${error.message}`, null];
+                }
+                if (!(Math.abs(back - sample) <= 1e-9 * Math.max(1, Math.abs(sample)))) {
+                    return [`Unit '${key}' does not round-trip: toBase(${sample}) is ${inBase}, but fromBase(${inBase}) is ${back}.`, null];
+                }
+            }
+            return [null, converter];
+        }
+
+        /**
+         * Converts a value of a normalized unit to the base unit: through the unit's `toBase` function when it is
+         * not linear, then with its scale and bias.
+         *
+         * @param {Object} unit - The normalized unit.
+         * @param {number} value - The value in the unit.
+         * @returns {number} The value in the base unit.
+         * @private
+         */
+        static _toBase(unit, value) {
+            const linear = unit.toBase ? unit.toBase(value) : value;
+            return linear * unit.scale + unit.bias;
+        }
+
+        /**
+         * Converts a value in the base unit to a normalized unit (the inverse of `_toBase()`).
+         *
+         * @param {Object} unit - The normalized unit.
+         * @param {number} value - The value in the base unit.
+         * @returns {number} The value in the unit.
+         * @private
+         */
+        static _fromBase(unit, value) {
+            const linear = (value - unit.bias) / unit.scale;
+            return unit.fromBase ? unit.fromBase(linear) : linear;
+        }
+
+        /**
+         * Rounds a unit scale to 15 decimal places, keeping 15 significant digits for scales below 1
+         * (so that 1e-9 or 1e-30 do not round to zero). The precision of the table still counts the decimals
+         * written in the scale (see `_getPrecision()`), so it does not change.
+         *
+         * @param {number} scale - The scale to round.
+         * @returns {number} The rounded scale.
+         * @private
+         */
+        static _roundScale(scale) {
+            if (Math.abs(scale) >= 1 || !isFinite(scale)) return ConversionTable._roundToPrecision(scale, 15);
+            return parseFloat(scale.toPrecision(15));
+        }
+
+        /**
+         * Returns the number of digits after the decimal point in a number.
+         *
+         * @param {number} num - The number to check.
+         * @returns {number} The number of digits after the decimal point.
+         * @private
+         */
+        static _getPrecision(num) {
+            if (!isFinite(num)) return 0;
+            const parts = num.toString().split('.');
+            return parts.length > 1 ? parts[1].length : 0;
+        }
+
+        /**
+         * Resolves the `prefixes` of a unit into a list of [symbol, [name, factor]] entries.
+         *
+         * @param {string|string[]} prefixes - A prefix group name, or an array of prefix symbols and group names.
+         * @returns {[string|null, Array|null]} A tuple with the error message (or null), and the prefix entries (or null).
+         * @private
+         */
+        static _resolvePrefixes(prefixes) {
+            const entries = new Map();
+            for (const item of Array.isArray(prefixes) ? prefixes : [prefixes]) {
+                if (Object.prototype.hasOwnProperty.call(PREFIXES, item)) {
+                    Object.entries(PREFIXES[item]).forEach(([symbol, prefix]) => entries.set(symbol, prefix));
+                    continue;
+                }
+
+                const group = Object.values(PREFIXES).find((candidate) => Object.prototype.hasOwnProperty.call(candidate, item));
+                if (!group) return [`Unknown prefix '${item}'.`, null];
+                entries.set(item, group[item]);
+            }
+            return [null, [...entries]];
+        }
+
+        /**
+         * Merges number format overrides onto the default format and validates the separators.
+         * A decimal separator set after the thousands separator it clashes with switches the thousands separator,
+         * so that `{ decimal: ',' }` alone gives `{ decimal: ',', thousands: '.' }`.
+         *
+         * @param {...Object} formats - Partial number formats, applied from left to right.
+         * @returns {[string|null, {decimal: string, thousands: string}|null]} A tuple with the error message (or null),
+         *                                                                    and the resolved number format (or null).
+         * @private
+         */
+        static _resolveNumberFormat(...formats) {
+            const numberFormat = Object.assign({}, DEFAULT_NUMBER_FORMAT, ...formats);
+            const lastSetting = (property) => formats.reduce(
+                (last, format, index) => (format && Object.prototype.hasOwnProperty.call(format, property) ? index : last), -1);
+            if (numberFormat.decimal === numberFormat.thousands && lastSetting('decimal') > lastSetting('thousands')) {
+                numberFormat.thousands = numberFormat.decimal === '.' ? ',' : '.';
+            }
+            const { decimal, thousands } = numberFormat;
+            const isSeparator = (char) => typeof char === 'string' && char.length === 1 && !/[\d+\-eE]/.test(char);
+
+            if (!isSeparator(decimal)) {
+                return [`Invalid decimal separator '${decimal}'.`, null];
+            }
+            if (thousands !== '' && !isSeparator(thousands)) {
+                return [`Invalid thousands separator '${thousands}'.`, null];
+            }
+            if (decimal === thousands) {
+                return [`Decimal and thousands separators must differ (both are '${decimal}').`, null];
+            }
+            return [null, Object.freeze(numberFormat)];
+        }
+
+        /**
+         * Builds the regex pattern (without groups) that matches a number in the given format.
+         *
+         * Accepts grouped thousands ("1,234"), leading-dot decimals (".5"), scientific notation ("1e-3"),
+         * fractions ("3/8"), mixed numbers ("1 1/2") and unicode vulgar fractions ("½", "1½").
+         *
+         * @param {{decimal: string, thousands: string}} numberFormat - The separators to use.
+         * @param {boolean} signed - Whether a leading sign is allowed.
+         * @returns {string} The regex pattern.
+         * @private
+         */
+        static _numberPattern(numberFormat, signed) {
+            const decimal = ConversionTable._escapeRegex(numberFormat.decimal);
+            const thousands = ConversionTable._escapeRegex(numberFormat.thousands);
+            const integer = thousands ? `\\d{1,3}(?:${thousands}\\d{3})+|\\d+` : '\\d+';
+            const sign = signed ? '[+\\-\\u2212]?' : '';
+            const vulgar = `[${Object.keys(VULGAR_FRACTIONS).join('')}]`;
+            const fraction = `(?:\\d+\\s+)?\\d+[/\\u2044]\\d+|(?:\\d+\\s*)?${vulgar}`;
+            const decimalNumber = `(?:(?:${integer})(?:${decimal}\\d+)?|${decimal}\\d+)(?:[eE][+\\-]?\\d+)?`;
+            return `${sign}(?:${fraction}|${decimalNumber})`;
+        }
+
+        /**
+         * Converts a number matched by `_numberPattern` into a JavaScript number, or into a `Rational` when exact.
+         *
+         * @param {string} text - The matched number text.
+         * @param {{decimal: string, thousands: string}} numberFormat - The separators used in the text.
+         * @param {boolean} [exact=false] - Whether to return a `Rational`.
+         * @returns {number|Rational|null} The parsed number (null for an exact number that cannot be read).
+         * @private
+         */
+        static _parseNumber(text, numberFormat, exact = false) {
+            const negative = /^[-\u2212]/.test(text);
+            const signed = (value) => exact ? value && (negative ? value.negate() : value) : (negative ? -value : value);
+            let normalized = text.replace(/^[+\-\u2212]/, '');
+
+            const fraction = normalized.match(/^(?:(\d+)\s+)?(\d+)[/\u2044](\d+)$/);
+            const vulgar = normalized.match(/^(?:(\d+)\s*)?(\D)$/);
+            if (fraction || (vulgar && VULGAR_FRACTIONS[vulgar[2]])) {
+                const [whole = '0', numerator, denominator] = fraction
+                    ? fraction.slice(1)
+                    : [vulgar[1], ...VULGAR_FRACTIONS[vulgar[2]]];
+                if (!exact) return signed(Number(whole) + Number(numerator) / Number(denominator));
+                if (Number(denominator) === 0) return null;
+                return signed(Rational.parse(whole).add(Rational.parse(`${numerator}/${denominator}`)));
+            }
+
+            if (numberFormat.thousands) {
+                normalized = normalized.split(numberFormat.thousands).join('');
+            }
+            normalized = normalized.replace(numberFormat.decimal, '.');
+            return signed(exact ? Rational.parse(normalized) : Number(normalized));
+        }
+
+        /**
+         * Escapes regex metacharacters so the string can be used as a literal in a pattern.
+         *
+         * @param {string} str - The string to escape.
+         * @returns {string} The escaped string.
+         * @private
+         */
+        static _escapeRegex(str) {
+            return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+
+        /**
+         * Helper function to get normalized unit with scale, bias, and term.
+         *
+         * @param {Object} value - The raw value of the unit.
+         * @returns {Object} The normalized unit with proper scale, bias, and term structure.
+         * @private
+         */
+        static _getNormalizedUnit(value) {
+            const { base, scale = 1, bias = 0, alias, minor, term, caseSensitive, exact, converter } = value;
+
+            let normalizedTerm = term;
+            if (typeof term === 'string') {
+                normalizedTerm = ConversionTable._parseTerm(term);
+            }
+
+            const normalizedUnit = {
+                base: !!base,
+                scale,
+                bias,
+                alias: alias || null,
+                minor: minor || null,
+                term: normalizedTerm,
+            };
+            if (typeof caseSensitive === 'boolean') normalizedUnit.caseSensitive = caseSensitive;
+            if (exact && Object.keys(exact).length) normalizedUnit.exact = exact;
+            if (converter) Object.assign(normalizedUnit, converter);
+            return normalizedUnit;
+        }
+
+        /**
+         * Helper function to parse term into singular and plural forms.
+         *
+         * @param {string} term - The term string (e.g., "Meter(s)" or "Foot/Feet").
+         * @returns {[string, string]} An array containing the singular and plural forms of the term.
+         * @private
+         */
+        static _parseTerm(term) {
+            if (Array.isArray(term)) return term;
+
+            const matchParentheses = term?.match(/^([^\(]+)\(([^\)]+)\)$/);
+            const matchSlash = term?.match(/^([^\/]+)\/(.+)$/);
+
+            if (matchParentheses) {
+                return [matchParentheses[1], matchParentheses[1] + matchParentheses[2]];
+            } else if (matchSlash) {
+                return [matchSlash[1], matchSlash[2]];
+            } else if (term) {
+                return [term, term];
+            }
+
+            return null;
+        }
+
+        /**
+         * Pluralizes a unit based on the provided value.
+         *
+         * @param {string} unit - The unit key to pluralize (e.g., 'm', 'cm', etc.).
+         * @param {number} value - The value to decide if singular or plural.
+         * @returns {string} The singular or plural form of the unit term.
+         * @private
+         */
+        _pluralize(unit, value) {
+            const unitData = this.table[unit];
+            if (!unitData || !unitData.term) return unit;
+            return value === 1 ? unitData.term[0] : unitData.term[1];
+        }
+
+        /**
+         * Parses a product of named factors with integer powers, such as "length/time" or "mass*length/time^2".
+         *
+         * Each factor is divided when preceded by '/' and multiplied when preceded by '*' or '·'.
+         * Powers of the same name are summed, and names whose powers cancel out are dropped.
+         *
+         * @param {string} expression - The expression to parse.
+         * @returns {[string|null, Array<{name: string, power: number}>|null]} A tuple with the error message (or null),
+         *                                                                     and the factors (or null).
+         * @private
+         */
+        static _parseFactors(expression) {
+            const source = typeof expression === 'string' ? expression.replace(/\s+/g, '') : '';
+            const factorPattern = /([*·/]?)([A-Za-z_][\w-]*)(?:\^(-?\d+))?/y;
+            const powers = new Map();
+
+            let position = 0;
+            while (position < source.length) {
+                factorPattern.lastIndex = position;
+                const match = factorPattern.exec(source);
+                // Only the first factor comes without an operator
+                if (!match || (position === 0) !== (match[1] === '')) {
+                    return [`Invalid definition '${expression}'.`, null];
+                }
+                const [, operator, name, exponent = '1'] = match;
+                const power = Number(exponent) * (operator === '/' ? -1 : 1);
+                powers.set(name, (powers.get(name) || 0) + power);
+                position = factorPattern.lastIndex;
+            }
+
+            const factors = [...powers].filter(([, power]) => power !== 0).map(([name, power]) => ({ name, power }));
+            if (factors.length === 0) return [`Invalid definition '${expression}'.`, null];
+            return [null, factors];
+        }
+
+        /**
+         * Formats factors in canonical order, e.g. 'length*mass/time^2' or 'time^-1'.
+         * The result can be parsed again by `_parseFactors`.
+         *
+         * @param {Array<{name: string, power: number}>} factors - The factors to format.
+         * @returns {string} The formatted factors.
+         * @private
+         */
+        static _formatFactors(factors) {
+            const sorted = [...factors].sort((a, b) => a.name.localeCompare(b.name));
+            const ordered = [...sorted.filter(({ power }) => power > 0), ...sorted.filter(({ power }) => power < 0)];
+            return ordered.map(({ name, power }, index) => {
+                // Without a numerator, the first factor keeps its negative power
+                const exponent = index === 0 ? power : Math.abs(power);
+                const operator = index === 0 ? '' : (power < 0 ? '/' : '*');
+                return `${operator}${name}${exponent === 1 ? '' : `^${exponent}`}`;
+            }).join('');
+        }
+
+        /**
+         * Names a derived unit from its numerator and denominator parts.
+         *
+         * @param {Array<{key: string, power: number, term: [string, string]}>} numerator - The parts with positive powers.
+         * @param {Array<{key: string, power: number, term: [string, string]}>} denominator - The parts with negative powers (as positive numbers).
+         * @returns {[string, [string, string]]} The unit key (e.g. "km/h", "m²") and its singular and plural terms.
+         * @private
+         */
+        static _derivedName(numerator, denominator) {
+            const symbol = ({ key, power }, sign = 1) => power === 1 && sign === 1 ? key : key + ConversionTable._superscript(power * sign);
+            let key = numerator.map((part) => symbol(part)).join('·');
+            if (denominator.length) {
+                key = numerator.length
+                    ? `${key}/${denominator.map((part) => symbol(part)).join('·')}`
+                    : denominator.map((part) => symbol(part, -1)).join('·');
+            }
+
+            const raised = (name, value) => value === 1 ? name : `${name} to the Power ${value}`;
+            const words = (plural) => numerator.map(({ term, power: value }, index) => {
+                const name = plural && index === numerator.length - 1 ? term[1] : term[0];
+                if (value === 2) return `Square ${name}`;
+                if (value === 3) return `Cubic ${name}`;
+                return raised(name, value);
+            }).join(' ');
+            const per = denominator.map(({ term, power: value }) => {
+                if (value === 2) return `${term[0]} Squared`;
+                if (value === 3) return `${term[0]} Cubed`;
+                return raised(term[0], value);
+            }).join(' ');
+
+            const term = [false, true].map((plural) => {
+                if (!per) return words(plural);
+                return numerator.length ? `${words(plural)} per ${per}` : `Per ${per}`;
+            });
+            return [key, term];
+        }
+
+        /**
+         * Renders an integer as unicode superscript characters (e.g. -1 as "⁻¹").
+         *
+         * @param {number} value - The integer to render.
+         * @returns {string} The superscript string.
+         * @private
+         */
+        static _superscript(value) {
+            return String(value).split('').map((char) => SUPERSCRIPTS[char]).join('');
+        }
+    }
+
+    // ExpressionError class: Carries a positioned syntax or evaluation error out of evaluate()
+    class ExpressionError extends Error {}
+
+    // ConversionTableOperations class: Responsible for handling conversion operations
+    class ConversionTableOperations {
+        /**
+         * Parses an input string into a structured object with unit and value information.
+         *
+         * Values may be signed ("-3pt"), start with the decimal separator (".5in") or use scientific
+         * notation ("1e-3cm"). A sign on the major value applies to the minor value as well ("-1p6" is -18pt).
+         * Units may also be written as their terms, ignoring case ("3 inches"), and the minor value may name
+         * its unit ("2 picas 6 points", "2p6pt").
+         *
+         * Composite input may have any number of components, each with its own unit, in descending order
+         * ("5ft 3in", "1h 20min 15s"). The second component is returned as `sub`, the third as `sub.sub`, and so on.
+         *
+         * With `options.exact`, values, scales and biases are `Rational`s, read without floating-point rounding.
+         * Scales and biases given as numbers rather than exact strings are the shortest decimal of their number.
+         *
+         * Non-linear units (see the `transform`, `toBase` and `fromBase` unit properties) convert single values:
+         * they cannot be combined with other units in one input, and cannot be read exactly.
+         *
+         * @param {string} input - The input string to parse (e.g., "2in").
+         * @param {ConversionTable} conversionTable - The conversion table to use for parsing.
+         * @param {Object} [options] - Parsing options.
+         * @param {{decimal: string, thousands: string}} [options.numberFormat] - Separators overriding the table's number format.
+         * @param {boolean|string} [options.exact=false] - Whether to return exact `Rational` numbers.
+         * @returns {[string|null, Object|null]} A tuple with the error message (or null), and the parsed result (or null).
+         */
+        static parse(input, conversionTable, options = {}) {
+            try {
+                const [prepareError, context] = ConversionTableOperations._prepare(conversionTable, options);
+                if (prepareError) return [prepareError, null];
+
+                return ConversionTableOperations._parsePrepared(input, conversionTable, options, context);
+            } catch (error) {
+                return [`Error parsing input: ${error.message}`, null];
+            }
+        }
+
+        /**
+         * Parses an input string with a context prepared by `_prepare()` (see `parse()`).
+         *
+         * @param {string} input - The input string to parse.
+         * @param {ConversionTable} conversionTable - The conversion table to use for parsing.
+         * @param {Object} options - Parsing options (see `parse()`).
+         * @param {Object} context - The compiled matchers and unit cache from `_prepare()`.
+         * @returns {[string|null, Object|null]} A tuple with the error message (or null), and the parsed result (or null).
+         * @private
+         */
+        static _parsePrepared(input, conversionTable, options, context) {
+            const { numberFormat } = context;
+            const match = input.trim().normalize('NFC').match(context.measurement);
+            if (match && match.groups) {
+                const { majorValue, majorUnit, minorValue, minorUnit, components } = match.groups;
+
+                // Resolve unit, check if it's an alias, and use the real unit.
+                const [unitError, resolved] = context.resolveUnit(majorUnit || conversionTable.base);
+                if (unitError) return [unitError, null];
+                const { key: resolvedUnit, unit: tableEntry } = resolved;
+
+                if (!ConversionTable._isLinear(tableEntry)) {
+                    if (minorValue || components) return [`Unit '${resolvedUnit}' is not linear and cannot be combined with other units.`, null];
+                    if (options.exact) return [`Unit '${resolvedUnit}' is not linear and cannot be converted exactly.`, null];
+                }
+
+                // Every further component carries its own unit; an unlabelled minor value is in the minor unit,
+                // or in the base unit when there is none
+                const labelled = minorValue ? [{ value: minorValue, unit: minorUnit }] : [];
+                if (components) {
+                    const component = context.component();
+                    component.lastIndex = 0;
+                    for (let found = component.exec(components); found; found = component.exec(components)) {
+                        labelled.push(found.groups);
+                    }
+                }
+
+                // Exact parsing gives Rational values, scales and biases
+                const { exact = false } = options;
+                const number = (text) => ConversionTable._parseNumber(text, numberFormat, exact);
+                const isValid = (num) => exact ? num !== null : isFinite(num);
+                const scaleOf = (entry) => exact ? ConversionTable._exactOf(entry, 'scale') : entry.scale ?? 1;
+                const biasOf = (entry) => exact ? ConversionTable._exactOf(entry, 'bias') : entry.bias ?? 0;
+
+                const negative = /^[-\u2212]/.test(majorValue);
+                const majorNumber = number(majorValue);
+                if (!isValid(majorNumber)) {
+                    return [`Invalid number in input '${input}'.`, null];
+                }
+
+                const parsed = {
+                    main: {
+                        unit: resolvedUnit,
+                        value: majorNumber,
+                        scale: scaleOf(tableEntry),
+                        bias: biasOf(tableEntry)
+                    },
+                    sub: null,
+                    base: conversionTable.base
+                };
+
+                let previous = parsed.main;
+                let previousScale = tableEntry.scale ?? 1;
+                for (const [index, { value, unit }] of labelled.entries()) {
+                    let key = null;
+                    let componentEntry = {};
+                    if (unit || tableEntry.minor) {
+                        const [componentError, componentResolved] = context.resolveUnit(unit || tableEntry.minor);
+                        if (componentError) return [componentError, null];
+
+                        ({ key, unit: componentEntry } = componentResolved);
+                        if (!ConversionTable._isLinear(componentEntry)) {
+                            return [`Unit '${key}' is not linear and cannot be combined with other units.`, null];
+                        }
+                        if (!((componentEntry.scale ?? 1) < previousScale)) {
+                            return [`Units in '${input}' must be in descending order, but '${key}' follows '${previous.unit}'.`, null];
+                        }
+                    }
+
+                    const magnitude = number(value);
+                    if (!isValid(magnitude)) {
+                        return [`Invalid number in input '${input}'.`, null];
+                    }
+
+                    const sub = {
+                        unit: key,
+                        value: !negative ? magnitude : exact ? magnitude.negate() : -magnitude,
+                        scale: scaleOf(componentEntry),
+                        bias: biasOf(componentEntry)
+                    };
+                    if (index === 0) parsed.sub = sub;
+                    else previous.sub = sub;
+                    previous = sub;
+                    if (key) previousScale = componentEntry.scale ?? 1;
+                }
+
+                return [null, parsed];
+            }
+
+            return ['Invalid input format or no match found.', null];
+        }
+
+        /**
+         * Converts a value from one unit to another within a conversion table.
+         *
+         * With `options.fraction` the result also carries the value as a fraction rounded to the nearest
+         * 1/fraction (e.g. `{ unit: 'in', value: 1.5748, fraction: '1 9/16' }` for a denominator of 16).
+         *
+         * With `options.chain` the result also carries the value split over a chain of units, largest first:
+         * whole numbers of each unit and a remainder in the last one, rounded like the value (or to
+         * 1/fraction). A remainder that rounds up to a full unit is carried, so "5ft 11.9999999in" gives 6ft 0in
+         * rather than 5ft 12in: `{ unit: 'in', value: 71.9999999, chain: [{ unit: 'ft', value: 6 }, { unit: 'in', value: 0 }] }`.
+         *
+         * The value is rounded to the table precision, and to at most 15 significant digits (see `round()`). Unless
+         * `options.precision` is given, a non-zero value that the table precision would round to 0 keeps its
+         * significant digits instead ("5nm" gives 5e-9m).
+         *
+         * With `options.exact`, the conversion uses exact rationals instead of floating-point numbers, with the
+         * exact scales and biases of the table ("72/2.54"). Scales and biases given as numbers are taken as the
+         * shortest decimal of their normalized number, so `72 / 2.54` is read as 28.346456692913385, not 72/2.54.
+         * The value is a decimal string rounded to `precision` ('decimal', or true), or an exact
+         * `{ numerator, denominator }` pair of integer strings ('rational').
+         *
+         * @param {string} inputValue - The input string representing a value and unit.
+         * @param {string} desiredUnit - The target unit to convert to.
+         * @param {ConversionTable} conversionTable - The conversion table to use for conversion.
+         * @param {Object} [options] - Conversion options, passed on to `parse()`.
+         * @param {number} [options.precision] - Digits after the decimal point (defaults to the table precision).
+         * @param {number} [options.significant=15] - Significant digits to keep.
+         * @param {string} [options.rounding='half-up'] - The rounding mode (see `round()`).
+         * @param {number} [options.fraction] - The power of two denominator of the fractional output.
+         * @param {boolean|string[]} [options.chain] - The units to split the value over, in descending order, or
+         *                                            `true` to follow the `minor` units of `desiredUnit`.
+         * @param {boolean|string} [options.exact] - Convert exactly, returning a 'decimal' string (or true) or a 'rational'.
+         * @returns {[string|null, Object|null]} A tuple with the error message (or null), and the converted value (or null).
+         */
+        static convert(inputValue, desiredUnit, conversionTable, options = {}) {
+            try {
+                const [prepareError, context] = ConversionTableOperations._prepareConversion(desiredUnit, conversionTable, options);
+                if (prepareError) return [prepareError, null];
+
+                return ConversionTableOperations._convertPrepared(inputValue, context);
+            } catch (error) {
+                return [`Error during conversion: ${error.message}`, null];
+            }
+        }
+
+        /**
+         * Converts many input strings to one unit, e.g. a column of a report. The unit matchers are compiled and
+         * the options are checked once for the whole batch, and unit lookups are cached, which makes this much
+         * faster than calling `convert()` for every input.
+         *
+         * An input that cannot be converted does not stop the batch: its tuple holds the error, and the summary
+         * lists it with its index.
+         *
+         * @param {string[]} inputs - The input strings, each a value and unit as accepted by `convert()`.
+         * @param {string} targetUnit - The unit to convert to.
+         * @param {ConversionTable} conversionTable - The conversion table to use for conversion.
+         * @param {Object} [options] - Conversion options, as for `convert()`.
+         * @returns {[string|null, {results: Array<[string|null, Object|null]>, summary: Object}|null]}
+         *          A tuple with the error message for invalid arguments (or null), and the `[error, result]` tuple of
+         *          every input with a summary `{ total, converted, failed, failures: [{ index, input, error }] }` (or null).
+         */
+        static convertMany(inputs, targetUnit, conversionTable, options = {}) {
+            try {
+                if (!Array.isArray(inputs)) return ['Invalid inputs; use an array of strings.', null];
+
+                const [prepareError, context] = ConversionTableOperations._prepareConversion(targetUnit, conversionTable, options);
+                if (prepareError) return [prepareError, null];
+
+                const failures = [];
+                const results = inputs.map((input, index) => {
+                    let result;
+                    try {
+                        result = typeof input === 'string'
+                            ? ConversionTableOperations._convertPrepared(input, context)
+                            : [`Invalid input '${input}'.`, null];
+                    } catch (error) {
+                        result = [`Error during conversion: ${error.message}`, null];
+                    }
+                    if (result[0]) failures.push({ index, input, error: result[0] });
+                    return result;
+                });
+
+                return [null, {
+                    results,
+                    summary: { total: inputs.length, converted: inputs.length - failures.length, failed: failures.length, failures },
+                }];
+            } catch (error) {
+                return [`Error during conversion: ${error.message}`, null];
+            }
+        }
+
+        /**
+         * Checks the options of a conversion to `desiredUnit` and prepares what every input converted with
+         * them shares: the parsing context of `_prepare()`, the target unit, the rounding and the chain.
+         *
+         * @param {string} desiredUnit - The target unit to convert to.
+         * @param {ConversionTable} conversionTable - The conversion table to use for conversion.
+         * @param {Object} options - Conversion options (see `convert()`).
+         * @returns {[string|null, Object|null]} A tuple with the error message (or null), and the conversion context (or null).
+         * @private
+         */
+        static _prepareConversion(desiredUnit, conversionTable, options) {
+            const fractionError = ConversionTableOperations._checkFractionDenominator(options.fraction);
+            if (fractionError) return [fractionError, null];
+
+            const exact = options.exact === true ? 'decimal' : options.exact;
+            if (exact) {
+                if (exact !== 'decimal' && exact !== 'rational') {
+                    return [`Invalid exact mode '${options.exact}'. Use 'decimal' or 'rational'.`, null];
+                }
+                if (options.chain) return ["The 'exact' option cannot be combined with 'chain'.", null];
+            }
+
+            const [prepareError, context] = ConversionTableOperations._prepare(conversionTable, options);
+            if (prepareError) return [prepareError, null];
+
+            const desired = conversionTable.table[desiredUnit];
+            if (!desired) {
+                return [`Unit '${desiredUnit}' not found.`, null];
+            }
+            if (exact && !ConversionTable._isLinear(desired)) {
+                return [`Unit '${desiredUnit}' is not linear and cannot be converted exactly.`, null];
+            }
+
+            const [roundError, round] = ConversionTableOperations._rounder(options, conversionTable.precision);
+            if (roundError) return [roundError, null];
+
+            let chain = null;
+            if (options.chain) {
+                let chainError;
+                [chainError, chain] = ConversionTableOperations._resolveChain(options.chain, desiredUnit, conversionTable);
+                if (chainError) return [chainError, null];
+            }
+
+            return [null, { ...context, conversionTable, options, desiredUnit, desired, round, chain, exact }];
+        }
+
+        /**
+         * Converts an input string with a context prepared by `_prepareConversion()` (see `convert()`).
+         *
+         * @param {string} inputValue - The input string representing a value and unit.
+         * @param {Object} context - The conversion context.
+         * @returns {[string|null, Object|null]} A tuple with the error message (or null), and the converted value (or null).
+         * @private
+         */
+        static _convertPrepared(inputValue, context) {
+            const { conversionTable, options } = context;
+            const parseOptions = context.exact ? { ...options, exact: true } : options;
+            const [parseError, parsed] = ConversionTableOperations._parsePrepared(inputValue, conversionTable, parseOptions, context);
+            if (parseError) {
+                return [parseError, null];
+            }
+
+            const [rangeError, valueInBase] = ConversionTableOperations._toBaseValue(parsed, conversionTable);
+            if (rangeError) return [rangeError, null];
+
+            return ConversionTableOperations._fromBaseValue(valueInBase, context);
+        }
+
+        /**
+         * Converts a value in the table's base unit to the desired unit of a context prepared by
+         * `_prepareConversion()`, with the rounding, fraction and chain options of `convert()`.
+         *
+         * @param {number|Rational} valueInBase - The value in the base unit; a `Rational` with the `exact` option.
+         * @param {Object} context - The conversion context.
+         * @returns {[string|null, Object|null]} A tuple with the error message (or null), and the converted value (or null).
+         * @private
+         */
+        static _fromBaseValue(valueInBase, context) {
+            const { conversionTable, options, desiredUnit, desired: desiredUnitData, round, chain } = context;
+            if (context.exact) {
+                const converted = valueInBase
+                    .subtract(ConversionTable._exactOf(desiredUnitData, 'bias'))
+                    .divide(ConversionTable._exactOf(desiredUnitData, 'scale'));
+                const value = context.exact === 'rational'
+                    ? { numerator: `${converted.numerator}`, denominator: `${converted.denominator}` }
+                    : ConversionTableOperations._exactDecimal(converted, options, conversionTable.precision);
+                const result = { unit: desiredUnit, value };
+                if (options.fraction) {
+                    result.fraction = ConversionTableOperations._toFraction(converted.toNumber(), options.fraction);
+                }
+                return [null, result];
+            }
+
+            const convertedValue = ConversionTable._fromBase(desiredUnitData, valueInBase);
+            if (!isFinite(convertedValue)) {
+                return [ConversionTableOperations._outOfRange(valueInBase, conversionTable, desiredUnit), null];
+            }
+            const result = { unit: desiredUnit, value: round(convertedValue) };
+            if (options.fraction) {
+                result.fraction = ConversionTableOperations._toFraction(convertedValue, options.fraction);
+            }
+            if (chain) {
+                const chainValue = (valueInBase - chain[0].unit.bias) / chain[0].unit.scale;
+                const roundRemainder = options.fraction
+                    ? (num) => Math.round(num * options.fraction) / options.fraction
+                    : round;
+                const sign = chainValue < 0 ? -1 : 1;
+                result.chain = ConversionTableOperations._decompose(Math.abs(chainValue), chain, roundRemainder)
+                    .map(({ unit, value }) => ({ unit, value: value === 0 ? 0 : sign * value }));
+            }
+            return [null, result];
+        }
+
+        /**
+         * Evaluates an arithmetic expression of measurements (e.g. "1in + 6pt - 2mm") and converts the
+         * result to `targetUnit`.
+         *
+         * Measurements use the table's units and minor-unit notation ("1p6"). Measurements can be added
+         * and subtracted, while `*` and `/` scale them by plain numbers (dividing two measurements gives a
+         * plain number). Parentheses group sub-expressions. A plain number added to a measurement, or
+         * making up the whole result, is taken in the base unit, like in `parse()`.
+         *
+         * @param {string} expression - The expression to evaluate.
+         * @param {string} targetUnit - The unit to express the result in.
+         * @param {ConversionTable} conversionTable - The conversion table to use.
+         * @param {Object} [options] - Evaluation options.
+         * @param {{decimal: string, thousands: string}} [options.numberFormat] - Separators overriding the table's number format.
+         * @returns {[string|null, Object|null]} A tuple with the error message (or null), and `{ unit, value }` (or null).
+         *                                       Errors in the expression report their zero-based position.
+         */
+        static evaluate(expression, targetUnit, conversionTable, options = {}) {
+            try {
+                if (typeof expression !== 'string') {
+                    return [`Invalid expression '${expression}'.`, null];
+                }
+                expression = expression.normalize('NFC'); // Units are matched in NFC form
+
+                const targetUnitData = conversionTable.table[targetUnit];
+                if (!targetUnitData) {
+                    return [`Unit '${targetUnit}' not found.`, null];
+                }
+
+                const [formatError, numberFormat] = ConversionTable._resolveNumberFormat(conversionTable.numberFormat, options.numberFormat);
+                if (formatError) return [formatError, null];
+
+                const measurement = new RegExp(ConversionTable._measurementPattern(conversionTable.table, numberFormat, false, conversionTable.matching), 'yu');
+                let position = 0;
+
+                const fail = (message, at = position) => {
+                    throw new ExpressionError(`${message} at position ${at}.`);
+                };
+                const peek = () => {
+                    while (position < expression.length && /\s/.test(expression[position])) position++;
+                    return expression[position];
+                };
+
+                // Every value is either a measurement in base units (dimension 1) or a plain number (dimension 0)
+                const parseSum = () => {
+                    let left = parseProduct();
+                    for (let op = peek(); op === '+' || op === '-' || op === '\u2212'; op = peek()) {
+                        position++;
+                        const right = parseProduct();
+                        const value = op === '+' ? left.value + right.value : left.value - right.value;
+                        left = { value, dimension: Math.max(left.dimension, right.dimension) };
+                    }
+                    return left;
+                };
+
+                const parseProduct = () => {
+                    let left = parseFactor();
+                    for (let op = peek(); op === '*' || op === '/' || op === '\u00D7' || op === '\u00F7'; op = peek()) {
+                        const at = position++;
+                        const right = parseFactor();
+                        if (op === '*' || op === '\u00D7') {
+                            if (left.dimension + right.dimension > 1) fail('Cannot multiply two measurements', at);
+                            left = { value: left.value * right.value, dimension: left.dimension + right.dimension };
+                        } else {
+                            if (right.dimension > left.dimension) fail('Cannot divide a number by a measurement', at);
+                            if (right.value === 0) fail('Division by zero', at);
+                            left = { value: left.value / right.value, dimension: left.dimension - right.dimension };
+                        }
+                    }
+                    return left;
+                };
+
+                const parseFactor = () => {
+                    const char = peek();
+                    if (char === undefined) fail('Unexpected end of expression');
+
+                    if (char === '+' || char === '-' || char === '\u2212') {
+                        position++;
+                        const operand = parseFactor();
+                        return char === '+' ? operand : { value: -operand.value, dimension: operand.dimension };
+                    }
+
+                    if (char === '(') {
+                        position++;
+                        const inner = parseSum();
+                        if (peek() !== ')') fail("Expected ')'");
+                        position++;
+                        return inner;
+                    }
+
+                    const start = position;
+                    measurement.lastIndex = position;
+                    const match = measurement.exec(expression);
+                    if (!match) fail(`Unexpected '${char}'`);
+                    position = measurement.lastIndex;
+
+                    const [parseError, parsed] = ConversionTableOperations.parse(match[0], conversionTable, { numberFormat });
+                    if (parseError) fail(`Invalid measurement '${match[0].trim()}'`, start);
+
+                    const { majorUnit, minorValue } = match.groups;
+                    if (!majorUnit) {
+                        if (minorValue) fail('Missing operator between numbers', start);
+                        return { value: parsed.main.value, dimension: 0 };
+                    }
+                    if (parsed.sub && !parsed.sub.unit) {
+                        fail(`Unit '${parsed.main.unit}' has no minor unit`, start);
+                    }
+                    const [rangeError, valueInBase] = ConversionTableOperations._toBaseValue(parsed, conversionTable);
+                    if (rangeError) fail(rangeError.replace(/\.$/, ''), start);
+                    return { value: valueInBase, dimension: 1 };
+                };
+
+                const result = parseSum();
+                const trailing = peek();
+                if (trailing !== undefined) fail(`Unexpected '${trailing}'`);
+
+                const value = ConversionTable._fromBase(targetUnitData, result.value);
+                if (!isFinite(value)) {
+                    return [ConversionTableOperations._outOfRange(result.value, conversionTable, targetUnit), null];
+                }
+                return [null, { unit: targetUnit, value }];
+            } catch (error) {
+                if (error instanceof ExpressionError) return [error.message, null];
+                return [`Error evaluating expression: ${error.message}`, null];
+            }
+        }
+
+        /**
+         * Formats a base unit value back into the table's native notation (e.g. "10p2", "1c4").
+         *
+         * The value is split into a whole number of `unit` and a remainder expressed in the unit's
+         * `minor` unit (if it has one). The remainder (or the whole value, when there is no minor unit)
+         * is rounded to the table precision. With `options.long` the unit terms are used instead of
+         * the unit keys ("10 Picas 2 Points").
+         *
+         * @param {number} value - The value expressed in the table's base unit.
+         * @param {string} unit - The unit (or alias) to express the value in.
+         * @param {ConversionTable} conversionTable - The conversion table to use for formatting.
+         * @param {Object} [options] - Formatting options.
+         * @param {boolean} [options.long=false] - Whether to emit singular/plural terms instead of unit keys.
+         * @param {boolean} [options.minor=true] - Whether to split the value into major and minor units.
+         * @param {number} [options.precision] - Digits after the decimal point (defaults to the table precision).
+         * @param {number} [options.significant=15] - Significant digits to keep.
+         * @param {string} [options.rounding='half-up'] - The rounding mode (see `round()`).
+         * @param {number} [options.fraction] - Round to the nearest 1/fraction (a power of two) and emit fractions ("1 1/2in").
+         * @returns {[string|null, string|null]} A tuple with the error message (or null), and the formatted string (or null).
+         */
+        static format(value, unit, conversionTable, options = {}) {
+            try {
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    return [`Invalid value '${value}'.`, null];
+                }
+                const fractionError = ConversionTableOperations._checkFractionDenominator(options.fraction);
+                if (fractionError) return [fractionError, null];
+
+                if (!conversionTable.table[unit]) {
+                    return [`Unit '${unit}' not found.`, null];
+                }
+                const [unitError, resolved] = conversionTable.resolveUnit(unit);
+                if (unitError) return [unitError, null];
+                const { key: unitKey, unit: unitData } = resolved;
+
+                const { long = false, minor = true, fraction } = options;
+                const minorKey = minor ? unitData.minor : null;
+                const minorData = minorKey ? conversionTable.table[minorKey] : null;
+                const [roundError, roundDecimal] = ConversionTableOperations._rounder(options, conversionTable.precision);
+                if (roundError) return [roundError, null];
+                const round = fraction ? (num) => Math.round(num * fraction) / fraction : roundDecimal;
+                const text = (num) => fraction ? ConversionTableOperations._toFraction(num, fraction) : `${num}`;
+                const label = (key, num) => long ? ` ${conversionTable._pluralize(key, num)}` : key;
+
+                const unitValue = ConversionTable._fromBase(unitData, value);
+                if (!isFinite(unitValue)) {
+                    return [ConversionTableOperations._outOfRange(value, conversionTable, unitKey), null];
+                }
+                if (!minorData) {
+                    const rounded = round(unitValue);
+                    return [null, `${text(rounded)}${label(unitKey, rounded)}`];
+                }
+
+                // Split into a whole number of major units and a remainder in minor units
+                const sign = unitValue < 0 ? '-' : '';
+                const chain = [{ key: unitKey, unit: unitData }, { key: minorKey, unit: minorData }];
+                const [{ value: major }, { value: remainder }] = ConversionTableOperations._decompose(Math.abs(unitValue), chain, round);
+
+                let formatted = `${sign}${major}${label(unitKey, major)}`;
+                if (remainder) {
+                    formatted += long ? ` ${text(remainder)}${label(minorKey, remainder)}` : text(remainder);
+                }
+                return [null, formatted];
+            } catch (error) {
+                return [`Error during formatting: ${error.message}`, null];
+            }
+        }
+
+        /**
+         * Rounds a number on its decimal digits rather than its binary value, so 1.005 rounds to 1.01 (where
+         * `toFixed(2)` gives "1.00") and results are the same on every platform.
+         *
+         * With both `decimals` and `significant`, the one keeping fewer digits applies; with neither, the
+         * value is returned as is.
+         *
+         * @param {number} value - The number to round.
+         * @param {Object} [options] - Rounding options.
+         * @param {number} [options.decimals] - Digits to keep after the decimal point.
+         * @param {number} [options.significant] - Significant digits to keep.
+         * @param {string} [options.mode='half-up'] - 'half-up' (ties away from zero), 'half-even' (ties to the even
+         *                                            digit), 'floor', 'ceil' or 'truncate' (towards zero).
+         * @returns {[string|null, number|null]} A tuple with the error message (or null), and the rounded number (or null).
+         */
+        static round(value, options = {}) {
+            const { decimals, significant, mode = 'half-up' } = options;
+            if (typeof value !== 'number' || isNaN(value)) {
+                return [`Invalid value '${value}'.`, null];
+            }
+            if (!ROUNDING_MODES.includes(mode)) {
+                return [`Unknown rounding mode '${mode}'. Use one of ${ROUNDING_MODES.map((name) => `'${name}'`).join(', ')}.`, null];
+            }
+            if (decimals !== undefined && !(Number.isInteger(decimals) && decimals >= 0)) {
+                return [`Invalid decimals '${decimals}'; it must be a non-negative integer.`, null];
+            }
+            if (significant !== undefined && !(Number.isInteger(significant) && significant >= 1)) {
+                return [`Invalid significant digits '${significant}'; it must be a positive integer.`, null];
+            }
+            if (!isFinite(value) || value === 0) return [null, value];
+
+            // The shortest decimal digits of the value, and how many of them are before the decimal point
+            const [mantissa, exponent] = Math.abs(value).toExponential().split('e');
+            let digits = mantissa.replace('.', '');
+            let point = Number(exponent) + 1;
+            let keep = Math.min(decimals === undefined ? Infinity : point + decimals, significant ?? Infinity);
+            if (keep >= digits.length) return [null, value];
+            if (keep < 0) {
+                digits = '0'.repeat(-keep) + digits;
+                point -= keep;
+                keep = 0;
+            }
+
+            const kept = digits.slice(0, keep);
+            const rest = digits.slice(keep);
+            const negative = value < 0;
+            const inexact = /[1-9]/.test(rest);
+            const tie = rest[0] === '5' && !/[1-9]/.test(rest.slice(1));
+            const odd = Number(kept.slice(-1) || 0) % 2 === 1;
+            const up = {
+                'half-up': rest[0] >= '5',
+                'half-even': rest[0] > '5' || (rest[0] === '5' && (!tie || odd)),
+                'floor': negative && inexact,
+                'ceil': !negative && inexact,
+                'truncate': false,
+            }[mode];
+
+            const magnitude = BigInt(kept || '0') + BigInt(up ? 1 : 0);
+            const rounded = Number(`${magnitude}e${point - keep}`);
+            return [null, negative && rounded !== 0 ? -rounded : rounded];
+        }
+
+        /**
+         * Builds the rounding function of `convert()` and `format()` from their options. Without an explicit `precision`,
+         * a non-zero value that the table precision would round to 0 keeps its significant digits instead.
+         *
+         * @param {Object} options - The `precision`, `significant` and `rounding` options.
+         * @param {number} precision - The default digits after the decimal point (the table precision).
+         * @returns {[string|null, function(number): number|null]} A tuple with the error message (or null),
+         *                                                         and the rounding function (or null).
+         * @private
+         */
+        static _rounder(options, precision) {
+            const roundOptions = {
+                decimals: options.precision ?? precision,
+                significant: options.significant ?? MAX_SIGNIFICANT_DIGITS,
+                mode: options.rounding,
+            };
+            const [error] = ConversionTableOperations.round(0, roundOptions);
+            if (error) return [error, null];
+
+            const significantOptions = options.precision === undefined ? { ...roundOptions, decimals: undefined } : null;
+            return [null, (num) => {
+                const [, rounded] = ConversionTableOperations.round(num, roundOptions);
+                if (rounded !== 0 || num === 0 || !significantOptions) return rounded;
+                return ConversionTableOperations.round(num, significantOptions)[1];
+            }];
+        }
+
+        /**
+         * Writes an exact value as a decimal string rounded like `_rounder()` does: to `options.precision`, or by
+         * default to the table precision, unless that leaves 0 of a non-zero value, which then keeps
+         * `MAX_SIGNIFICANT_DIGITS` significant digits.
+         *
+         * @param {Rational} value - The exact value.
+         * @param {Object} options - The `precision` and `rounding` options.
+         * @param {number} precision - The table precision.
+         * @returns {string} The decimal string.
+         * @private
+         */
+        static _exactDecimal(value, options, precision) {
+            const decimal = value.toDecimal(options.precision ?? precision, options.rounding);
+            if (decimal !== '0' || value.numerator === BigInt(0) || options.precision !== undefined) return decimal;
+
+            const exponent = Number(Math.abs(value.toNumber()).toExponential().split('e')[1]);
+            return value.toDecimal(Math.max(0, MAX_SIGNIFICANT_DIGITS - 1 - exponent), options.rounding);
+        }
+
+        /**
+         * Matches an input string against the table's regex, honouring a per-call number format.
+         *
+         * @param {string} input - The input string to match.
+         * @param {ConversionTable} conversionTable - The conversion table to match against.
+         * @param {Object} [options] - Parsing options (see `parse()`).
+         * @returns {[string|null, {match: Array|null, numberFormat: Object}|null]} A tuple with the error message (or null),
+         *                                                                         and the match (null if none) with the number format used.
+         * @private
+         */
+        static _matchInput(input, conversionTable, options = {}) {
+            const [prepareError, context] = ConversionTableOperations._prepare(conversionTable, options);
+            if (prepareError) return [prepareError, null];
+
+            const match = input.trim().normalize('NFC').match(context.measurement);
+            return [null, { match, numberFormat: context.numberFormat }];
+        }
+
+        /**
+         * Prepares what parsing inputs against a table needs: the measurement regex, the component regex and unit
+         * lookups. These are the table's compiled ones, unless a per-call number format needs regexes of its own.
+         *
+         * @param {ConversionTable} conversionTable - The conversion table to parse with.
+         * @param {Object} [options] - Parsing options (see `parse()`).
+         * @returns {[string|null, Object|null]} A tuple with the error message (or null), and the parsing context (or null).
+         * @private
+         */
+        static _prepare(conversionTable, options = {}) {
+            let numberFormat = conversionTable.numberFormat || DEFAULT_NUMBER_FORMAT;
+            let regexString = conversionTable.regexString;
+            if (options.numberFormat) {
+                let formatError;
+                [formatError, numberFormat] = ConversionTable._resolveNumberFormat(numberFormat, options.numberFormat);
+                if (formatError) return [formatError, null];
+
+                let regexError;
+                [regexError, regexString] = ConversionTable.buildRegexString(conversionTable.table, conversionTable.tableName, numberFormat, conversionTable.matching);
+                if (regexError) return [regexError, null];
+            }
+
+            // Resolves a unit as typed (a key, alias or term) to the actual unit, through the table's unit index
+            const resolveUnit = (text) => conversionTable.resolveUnit(conversionTable.matchUnit(text) ?? text);
+            if (!options.numberFormat) {
+                const compiled = conversionTable._compiled();
+                return [null, { numberFormat, measurement: compiled.matcher, component: () => compiled.component, resolveUnit }];
+            }
+
+            let component = null;
+            return [null, {
+                numberFormat,
+                measurement: new RegExp(regexString, 'u'),
+                component: () => {
+                    if (!component) {
+                        component = new RegExp(ConversionTable._componentPattern(conversionTable.table, numberFormat, conversionTable.matching), 'yu');
+                    }
+                    return component;
+                },
+                resolveUnit,
+            }];
+        }
+
+        /**
+         * Resolves the units of the `chain` option of `convert()`.
+         *
+         * @param {boolean|string[]} chain - The unit keys in descending order, or true to follow the minor units.
+         * @param {string} desiredUnit - The target unit of the conversion.
+         * @param {ConversionTable} conversionTable - The conversion table to use.
+         * @returns {[string|null, Array<{key: string, unit: Object}>|null]} A tuple with the error message (or null),
+         *                                                                   and the resolved units (or null).
+         * @private
+         */
+        static _resolveChain(chain, desiredUnit, conversionTable) {
+            let keys = chain;
+            if (chain === true) {
+                // Minor units that are not smaller (or loop back) are reported by the order check below
+                keys = [desiredUnit];
+                while (keys.length <= Object.keys(conversionTable.table).length) {
+                    const [, resolved] = conversionTable.resolveUnit(keys[keys.length - 1]);
+                    if (!resolved?.unit.minor) break;
+                    keys.push(resolved.unit.minor);
+                }
+            } else if (!Array.isArray(chain) || chain.length === 0) {
+                return ['Invalid chain; use true or a non-empty array of unit keys.', null];
+            }
+
+            const units = [];
+            for (const key of keys) {
+                if (!Object.prototype.hasOwnProperty.call(conversionTable.table, key)) {
+                    return [`Unit '${key}' not found.`, null];
+                }
+                const [unitError, resolved] = conversionTable.resolveUnit(key);
+                if (unitError) return [unitError, null];
+
+                if (!ConversionTable._isLinear(resolved.unit)) {
+                    return [`Unit '${key}' is not linear and cannot be part of a chain.`, null];
+                }
+                const previous = units[units.length - 1];
+                if (previous && !(resolved.unit.scale < previous.unit.scale)) {
+                    return [`Units in a chain must be in descending order, but '${key}' follows '${previous.key}'.`, null];
+                }
+                units.push({ key, unit: resolved.unit });
+            }
+            return [null, units];
+        }
+
+        /**
+         * Splits a non-negative value over a chain of units: a whole number of each unit, and a rounded
+         * remainder in the last one. A remainder that rounds up to a full unit is carried upwards (avoids "1p12").
+         *
+         * @param {number} magnitude - The non-negative value, expressed in the first unit of the chain.
+         * @param {Array<{key: string, unit: Object}>} chain - The units in descending order.
+         * @param {function(number): number} round - Rounds the remainder (and the ratios between the units).
+         * @returns {Array<{unit: string, value: number}>} The value of every unit of the chain.
+         * @private
+         */
+        static _decompose(magnitude, chain, round) {
+            const values = [];
+            let rest = magnitude;
+            chain.forEach(({ unit }, index) => {
+                if (index === chain.length - 1) {
+                    values.push(round(rest));
+                    return;
+                }
+                const whole = Math.floor(rest);
+                values.push(whole);
+                const next = chain[index + 1].unit;
+                // Subtract from the total in the next unit rather than scaling the fractional part up, and drop the
+                // digits beyond the precision of that total, so 122pt gives 10p2 and not 10p1.99999999999999
+                const total = (rest * unit.scale - next.bias) / next.scale;
+                const integerDigits = total >= 1 ? Math.floor(Math.log10(total)) + 1 : 0;
+                const decimals = Math.max(0, MAX_SIGNIFICANT_DIGITS - integerDigits);
+                [, rest] = ConversionTableOperations.round(total - whole * unit.scale / next.scale, { decimals });
+            });
+
+            for (let index = chain.length - 1; index > 0; index--) {
+                const perUnit = round(chain[index - 1].unit.scale / chain[index].unit.scale);
+                if (values[index] >= perUnit) {
+                    values[index - 1] += 1;
+                    values[index] = round(values[index] - perUnit);
+                }
+            }
+            return chain.map(({ key }, index) => ({ unit: key, value: values[index] }));
+        }
+
+        /**
+         * Sums the parsed major value and its chain of minor values into a value in the table's base unit.
+         *
+         * @param {Object} parsed - The result of `parse()`.
+         * @param {ConversionTable} conversionTable - The table the input was parsed with.
+         * @returns {[string|null, number|Rational|null]} A tuple with the error message for values outside the range of
+         *          a non-linear unit (or null), and the value in the base unit; a `Rational` when parsed with the `exact`
+         *          option (or null).
+         * @private
+         */
+        static _toBaseValue(parsed, conversionTable) {
+            if (parsed.main.value instanceof Rational) {
+                let valueInBase = parsed.main.value.multiply(parsed.main.scale).add(parsed.main.bias);
+                for (let sub = parsed.sub; sub; sub = sub.sub) {
+                    valueInBase = valueInBase.add(sub.value.multiply(sub.scale)).add(sub.bias);
+                }
+                return [null, valueInBase];
+            }
+
+            // Only a single value can have a non-linear unit (see `parse()`)
+            const mainUnit = conversionTable.table[parsed.main.unit];
+            if (!ConversionTable._isLinear(mainUnit)) {
+                const valueInBase = ConversionTable._toBase(mainUnit, parsed.main.value);
+                if (!isFinite(valueInBase)) {
+                    return [`Value ${parsed.main.value} ${parsed.main.unit} is outside the range of unit '${parsed.main.unit}'.`, null];
+                }
+                return [null, valueInBase];
+            }
+
+            let valueInBase = (parsed.main.value * parsed.main.scale) + parsed.main.bias;
+            for (let sub = parsed.sub; sub; sub = sub.sub) {
+                valueInBase += (sub.value * sub.scale) + sub.bias;
+            }
+            return [null, valueInBase];
+        }
+
+        /**
+         * Describes a value in the base unit that a unit cannot express, such as 0 W in decibels.
+         *
+         * @param {number} valueInBase - The value in the base unit.
+         * @param {ConversionTable} conversionTable - The conversion table.
+         * @param {string} unitKey - The unit the value was converted to.
+         * @returns {string} The error message.
+         * @private
+         */
+        static _outOfRange(valueInBase, conversionTable, unitKey) {
+            const value = parseFloat(valueInBase.toPrecision(MAX_SIGNIFICANT_DIGITS));
+            return `Value ${value} ${conversionTable.base} is outside the range of unit '${unitKey}'.`;
+        }
+
+        /**
+         * Validates the denominator used for fractional output.
+         *
+         * @param {number|undefined} denominator - The denominator to check (undefined when not requested).
+         * @returns {string|null} The error message, or null if the denominator is valid or absent.
+         * @private
+         */
+        static _checkFractionDenominator(denominator) {
+            if (denominator === undefined || denominator === null) return null;
+            if (!Number.isInteger(denominator) || denominator < 1 || (denominator & (denominator - 1)) !== 0) {
+                return `Fraction denominator must be a power of two, got '${denominator}'.`;
+            }
+            return null;
+        }
+
+        /**
+         * Renders a number as a (mixed) fraction rounded to the nearest 1/denominator, e.g. "1 9/16".
+         *
+         * @param {number} value - The number to render.
+         * @param {number} denominator - The power of two denominator to round to.
+         * @returns {string} The reduced fraction.
+         * @private
+         */
+        static _toFraction(value, denominator) {
+            const total = Math.round(Math.abs(value) * denominator);
+            const whole = Math.floor(total / denominator);
+            let numerator = total % denominator;
+            let reduced = denominator;
+            while (numerator && numerator % 2 === 0) {
+                numerator /= 2;
+                reduced /= 2;
+            }
+
+            const sign = value < 0 && total ? '-' : '';
+            if (!numerator) return `${sign}${whole}`;
+            return whole ? `${sign}${whole} ${numerator}/${reduced}` : `${sign}${numerator}/${reduced}`;
+        }
+    }
+
+    // ConversionTableSerializer class: Converts registered tables to and from JSON and YAML-like documents
+    class ConversionTableSerializer {
+        /**
+         * Builds a table document (see `TABLE_SCHEMA`) from conversion tables.
+         *
+         * Alias units are written as `{ alias }`, every other unit with its normalized scale, bias, term and minor unit.
+         * Scales and biases given as exact strings ("72/2.54") are written as such, and so are named transforms.
+         * Units converting with their own `toBase` and `fromBase` functions are written without them; exports
+         * refuse them (see `_findFunctions()`).
+         *
+         * @param {Object<string, ConversionTable>} tables - The conversion tables by name.
+         * @returns {Object} The table document.
+         */
+        static serialize(tables) {
+            const document = { version: TABLE_DOCUMENT_VERSION, tables: {} };
+            for (const [name, table] of Object.entries(tables)) {
+                const units = {};
+                for (const [key, unit] of Object.entries(table.table)) {
+                    units[key] = unit.alias && unit.alias !== key
+                        ? { alias: unit.alias }
+                        : { scale: unit.exact?.scale ?? unit.scale, bias: unit.exact?.bias ?? unit.bias, term: unit.term ? [...unit.term] : null, minor: unit.minor };
+                    if (unit.caseSensitive !== undefined) units[key].caseSensitive = unit.caseSensitive;
+                    if (unit.transform && !units[key].alias) units[key].transform = { ...unit.transform };
+                }
+
+                const tableDocument = { base: table.base, precision: table.precision, dimension: table.dimension };
+                if (table.derivedFrom) tableDocument.derivedFrom = table.derivedFrom;
+                for (const option of Object.keys(DEFAULT_MATCHING)) {
+                    if (table.matching[option] !== DEFAULT_MATCHING[option]) tableDocument[option] = table.matching[option];
+                }
+                document.tables[name] = { ...tableDocument, units };
+            }
+            return document;
+        }
+
+        /**
+         * Turns a validated table document entry back into a raw table, as accepted by `ConversionTable.factory()`.
+         *
+         * @param {Object} tableDocument - One entry of the document's `tables`.
+         * @returns {Object} The raw conversion table.
+         */
+        static toRawTable(tableDocument) {
+            const rawTable = {};
+            for (const [key, unit] of Object.entries(tableDocument.units)) {
+                rawTable[key] = unit.alias
+                    ? { alias: unit.alias, caseSensitive: unit.caseSensitive }
+                    : { base: key === tableDocument.base, scale: unit.scale, bias: unit.bias, term: unit.term, minor: unit.minor, caseSensitive: unit.caseSensitive, transform: unit.transform };
+            }
+            return rawTable;
+        }
+
+        /**
+         * Writes a table document as text.
+         *
+         * @param {Object} document - The table document.
+         * @param {string} [format='json'] - 'json', or 'yaml' for the YAML subset read by `parse()`.
+         * @returns {[string|null, string|null]} A tuple with the error message (or null), and the text (or null).
+         */
+        static stringify(document, format = 'json') {
+            if (format === 'json') return [null, JSON.stringify(document, null, 2)];
+            if (format === 'yaml') return [null, ConversionTableSerializer._toYaml(document, '').join('\n')];
+            return [`Unknown format '${format}'. Use 'json' or 'yaml'.`, null];
+        }
+
+        /**
+         * Reads a table document from JSON or YAML-like text. Text starting with '{' is read as JSON.
+         *
+         * The YAML subset covers what `stringify()` writes: nested maps indented with spaces, plain or
+         * double-quoted scalars, flow sequences (`[Point, Points]`) and full-line comments.
+         *
+         * @param {string} text - The text to read.
+         * @returns {[string|null, Object|null]} A tuple with the error message (or null), and the document (or null).
+         */
+        static parse(text) {
+            if (text.trim().startsWith('{')) {
+                try {
+                    return [null, JSON.parse(text)];
+                } catch (error) {
+                    return [`Invalid JSON: ${error.message}`, null];
+                }
+            }
+
+            try {
+                return [null, ConversionTableSerializer._fromYaml(text)];
+            } catch (error) {
+                return [`Invalid YAML: ${error.message}`, null];
+            }
+        }
+
+        /**
+         * Validates a table document against `TABLE_SCHEMA`, and checks that the base unit, aliases and
+         * minor units refer to units of their table.
+         *
+         * Every problem is reported, each prefixed with its path, e.g.
+         * "tables.typography.units.c.minor refers to unknown unit 'x'".
+         *
+         * @param {*} document - The document to validate.
+         * @returns {string[]} The problems found (empty when the document is valid).
+         */
+        static validate(document) {
+            const problems = [];
+            const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+            const path = ConversionTableSerializer._path;
+            const checkKeys = (object, allowed, objectPath) => Object.keys(object)
+                .filter((key) => !allowed.includes(key))
+                .forEach((key) => problems.push(`${path(objectPath, key)} is not a known property`));
+
+            if (!isObject(document)) return ['document must be an object'];
+            checkKeys(document, ['version', 'tables'], '');
+            if (document.version !== TABLE_DOCUMENT_VERSION) {
+                problems.push(`version must be ${TABLE_DOCUMENT_VERSION}`);
+            }
+            if (!isObject(document.tables)) {
+                problems.push('tables must be an object');
+                return problems;
+            }
+
+            for (const [name, tableDocument] of Object.entries(document.tables)) {
+                const tablePath = path('tables', name);
+                if (!isObject(tableDocument)) {
+                    problems.push(`${tablePath} must be an object`);
+                    continue;
+                }
+                checkKeys(tableDocument, ['base', 'precision', 'dimension', 'derivedFrom', 'caseSensitive', 'ignoreWhitespace', 'units'], tablePath);
+
+                const { base, precision, dimension, derivedFrom, units } = tableDocument;
+                const hasUnits = isObject(units) && Object.keys(units).length > 0;
+                if (!hasUnits) problems.push(`${tablePath}.units must be an object with at least one unit`);
+
+                if (typeof base !== 'string') {
+                    problems.push(`${tablePath}.base must be a string`);
+                } else if (hasUnits && !Object.prototype.hasOwnProperty.call(units, base)) {
+                    problems.push(`${tablePath}.base refers to unknown unit '${base}'`);
+                } else if (hasUnits && isObject(units[base]) && units[base].alias) {
+                    problems.push(`${tablePath}.base must not be an alias`);
+                }
+                if (precision !== undefined && !(Number.isInteger(precision) && precision >= 6 && precision <= 15)) {
+                    problems.push(`${tablePath}.precision must be an integer between 6 and 15`);
+                }
+                if (dimension !== undefined && dimension !== null && (typeof dimension !== 'string' || ConversionTable.normalizeDimension(dimension)[0])) {
+                    problems.push(`${tablePath}.dimension is not a valid dimension`);
+                }
+                if (derivedFrom !== undefined && derivedFrom !== null && typeof derivedFrom !== 'string') {
+                    problems.push(`${tablePath}.derivedFrom must be a string`);
+                }
+                for (const option of ['caseSensitive', 'ignoreWhitespace']) {
+                    if (tableDocument[option] !== undefined && typeof tableDocument[option] !== 'boolean') {
+                        problems.push(`${tablePath}.${option} must be a boolean`);
+                    }
+                }
+                if (!hasUnits) continue;
+
+                for (const [key, unit] of Object.entries(units)) {
+                    const unitPath = path(`${tablePath}.units`, key);
+                    if (!isObject(unit)) {
+                        problems.push(`${unitPath} must be an object`);
+                        continue;
+                    }
+                    checkKeys(unit, ['scale', 'bias', 'term', 'alias', 'minor', 'caseSensitive', 'transform'], unitPath);
+
+                    const { scale, bias, term } = unit;
+                    const number = (value) => typeof value === 'number' ? value : Rational.parse(value)?.toNumber();
+                    if (scale !== undefined && !(isFinite(number(scale)) && number(scale) !== 0)) {
+                        problems.push(`${unitPath}.scale must be a non-zero number`);
+                    }
+                    if (bias !== undefined && !isFinite(number(bias))) {
+                        problems.push(`${unitPath}.bias must be a number`);
+                    }
+                    if (unit.caseSensitive !== undefined && typeof unit.caseSensitive !== 'boolean') {
+                        problems.push(`${unitPath}.caseSensitive must be a boolean`);
+                    }
+                    if (unit.transform !== undefined && (!isObject(unit.transform) || ConversionTable._transformOf(key, { transform: unit.transform })[0])) {
+                        problems.push(`${unitPath}.transform must be a named transform with valid parameters`);
+                    }
+                    const isTermPair = Array.isArray(term) && term.length === 2 && term.every((word) => typeof word === 'string');
+                    if (term !== undefined && term !== null && typeof term !== 'string' && !isTermPair) {
+                        problems.push(`${unitPath}.term must be a string or a [singular, plural] pair`);
+                    }
+                    for (const reference of ['alias', 'minor']) {
+                        const target = unit[reference];
+                        if (target === undefined || target === null) continue;
+                        if (typeof target !== 'string') {
+                            problems.push(`${unitPath}.${reference} must be a string`);
+                        } else if (target === key) {
+                            problems.push(`${unitPath}.${reference} refers to the unit itself`);
+                        } else if (!Object.prototype.hasOwnProperty.call(units, target)) {
+                            problems.push(`${unitPath}.${reference} refers to unknown unit '${target}'`);
+                        }
+                    }
+                }
+            }
+            return problems;
+        }
+
+        /**
+         * Appends a key to a path, in dot notation when the key is an identifier and bracket notation otherwise.
+         *
+         * @param {string} parent - The path so far ('' at the document root).
+         * @param {string} key - The key to append.
+         * @returns {string} The extended path.
+         * @private
+         */
+        static _path(parent, key) {
+            if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${parent}[${JSON.stringify(key)}]`;
+            return parent ? `${parent}.${key}` : key;
+        }
+
+        /**
+         * Finds a unit converting with its own `toBase` and `fromBase` functions, which a document cannot hold.
+         *
+         * @param {Object<string, ConversionTable>} tables - The conversion tables by name.
+         * @returns {string|null} The error message for the first such unit (or null when there is none).
+         * @private
+         */
+        static _findFunctions(tables) {
+            for (const [name, table] of Object.entries(tables)) {
+                const key = Object.keys(table.table).find((unitKey) => table.table[unitKey].toBase && !table.table[unitKey].transform);
+                if (key) return `Unit '${key}' of table '${name}' converts with toBase/fromBase functions, which cannot be exported; use a named transform.`;
+            }
+            return null;
+        }
+
+        /**
+         * Writes an object as YAML lines.
+         *
+         * @param {Object} object - The object to write.
+         * @param {string} indent - The indentation of the object's keys.
+         * @returns {string[]} The lines.
+         * @private
          */
-        static parse(input, conversionTable) {
-            try {
-                const regex = new RegExp(conversionTable.regexString);
-                const match = input.trim().match(regex);
+        static _toYaml(object, indent) {
+            const scalar = ConversionTableSerializer._yamlScalar;
+            return Object.entries(object).flatMap(([key, value]) => {
+                const prefix = `${indent}${scalar(key)}:`;
+                if (Array.isArray(value)) return [`${prefix} [${value.map(scalar).join(', ')}]`];
+                if (typeof value === 'object' && value !== null) {
+                    if (!Object.keys(value).length) return [`${prefix} {}`];
+                    return [prefix, ...ConversionTableSerializer._toYaml(value, `${indent}  `)];
+                }
+                return [`${prefix} ${scalar(value)}`];
+            });
+        }
 
-                if (match && match.groups) {
-                    const { majorValue, majorUnit, minorValue } = match.groups;
+        /**
+         * Writes a scalar for YAML, quoting strings that would otherwise read as another type or break the syntax.
+         *
+         * @param {string|number|boolean|null} value - The scalar.
+         * @returns {string} The YAML scalar.
+         * @private
+         */
+        static _yamlScalar(value) {
+            if (typeof value !== 'string') return String(value);
+            const isPlain = /^[^\s\-?:,[\]{}#&*!|>'"%@`][^:#,[\]{}"]*$/.test(value) && !/\s$/.test(value);
+            const isReserved = /^(?:null|true|false|~)$/i.test(value) || ConversionTableSerializer._isYamlNumber(value);
+            return isPlain && !isReserved ? value : JSON.stringify(value);
+        }
 
-                    // Resolve unit, check if it's an alias, and use the real unit.
-                    let tableEntry = conversionTable.table[majorUnit] || conversionTable.table[conversionTable.base];
-                    let resolvedUnit = majorUnit || conversionTable.base;
+        /**
+         * Reads the YAML subset written by `_toYaml()`.
+         *
+         * @param {string} text - The YAML text.
+         * @returns {Object} The document.
+         * @throws {SyntaxError} When a line cannot be read.
+         * @private
+         */
+        static _fromYaml(text) {
+            const lines = [];
+            text.split(/\r?\n/).forEach((line, index) => {
+                if (/^\s*(?:#.*)?$/.test(line)) return;
+                const indent = line.match(/^ */)[0].length;
+                if (line[indent] === '\t') throw new SyntaxError(`Line ${index + 1}: tabs are not allowed for indentation.`);
+                lines.push({ number: index + 1, indent, text: line.slice(indent).trimEnd() });
+            });
 
-                    if (tableEntry.alias) {
-                        const key = tableEntry.alias;
-                        tableEntry = conversionTable.table[tableEntry.alias];
-                        resolvedUnit = key;
-                    }
+            let position = 0;
+            const readMap = (indent) => {
+                const map = {};
+                while (position < lines.length && lines[position].indent >= indent) {
+                    const { number, indent: lineIndent, text: lineText } = lines[position];
+                    if (lineIndent !== indent) throw new SyntaxError(`Line ${number}: unexpected indentation.`);
 
-                    const parsed = {
-                        main: {
-                            unit: resolvedUnit,
-                            value: parseFloat(majorValue),
-                            scale: tableEntry.scale ?? 1,
-                            bias: tableEntry.bias ?? 0
-                        },
-                        sub: minorValue ? {
-                            unit: tableEntry.minor,
-                            value: parseFloat(minorValue),
-                            scale: conversionTable.table[tableEntry.minor]?.scale || 1,
-                            bias: conversionTable.table[tableEntry.minor]?.bias || 0
-                        } : null,
-                        base: conversionTable.base
-                    };
+                    const match = lineText.match(/^("(?:[^"\\]|\\.)*"|[^:"]+?)\s*:(?:\s+(.*))?$/);
+                    if (!match) throw new SyntaxError(`Line ${number}: expected 'key: value'.`);
+                    const key = ConversionTableSerializer._readYamlScalar(match[1], number);
+                    position++;
 
-                    return [null, parsed];
+                    if (match[2] !== undefined) {
+                        map[key] = ConversionTableSerializer._readYamlValue(match[2], number);
+                    } else if (position < lines.length && lines[position].indent > indent) {
+                        map[key] = readMap(lines[position].indent);
+                    } else {
+                        map[key] = null;
+                    }
                 }
+                return map;
+            };
 
-                return ['Invalid input format or no match found.', null];
-            } catch (error) {
-                return [`Error parsing input: ${error.message}`, null];
-            }
+            const document = readMap(lines.length ? lines[0].indent : 0);
+            if (position < lines.length) throw new SyntaxError(`Line ${lines[position].number}: unexpected indentation.`);
+            return document;
         }
 
         /**
-         * Converts a value from one unit to another within a conversion table.
+         * Reads a YAML value: an empty map, a flow sequence of scalars or a scalar.
          *
-         * @param {string} inputValue - The input string representing a value and unit.
-         * @param {string} desiredUnit - The target unit to convert to.
-         * @param {ConversionTable} conversionTable - The conversion table to use for conversion.
-         * @returns {[string|null, Object|null]} A tuple with the error message (or null), and the converted value (or null).
+         * @param {string} text - The value text.
+         * @param {number} number - The line number, for error messages.
+         * @returns {*} The value.
+         * @private
          */
-        static convert(inputValue, desiredUnit, conversionTable) {
-            try {
-                const [parseError, parsed] = ConversionTableOperations.parse(inputValue, conversionTable);
-                if (parseError) {
-                    return [parseError, null];
-                }
+        static _readYamlValue(text, number) {
+            if (text === '{}') return {};
 
-                const desiredUnitData = conversionTable.table[desiredUnit];
-                if (!desiredUnitData) {
-                    return [`Unit '${desiredUnit}' not found.`, null];
-                }
+            const sequence = text.match(/^\[(.*)\]$/);
+            if (!sequence) return ConversionTableSerializer._readYamlScalar(text, number);
+            if (!sequence[1].trim()) return [];
+            return (sequence[1].match(/"(?:[^"\\]|\\.)*"|[^,]+/g) || [])
+                .map((item) => item.trim())
+                .filter(Boolean)
+                .map((item) => ConversionTableSerializer._readYamlScalar(item, number));
+        }
 
-                let valueInBase = (parsed.main.value * parsed.main.scale) + parsed.main.bias;
-                if (parsed.sub) {
-                    valueInBase += (parsed.sub.value * parsed.sub.scale) + parsed.sub.bias;
+        /**
+         * Reads a YAML scalar: a double- or single-quoted string, null, a boolean, a number or a plain string.
+         *
+         * @param {string} text - The scalar text.
+         * @param {number} number - The line number, for error messages.
+         * @returns {string|number|boolean|null} The scalar.
+         * @private
+         */
+        static _readYamlScalar(text, number) {
+            if (text.startsWith('"')) {
+                try {
+                    return JSON.parse(text);
+                } catch (error) {
+                    throw new SyntaxError(`Line ${number}: invalid quoted string ${text}.`);
                 }
-
-                const convertedValue = (valueInBase - desiredUnitData.bias) / desiredUnitData.scale;
-                return [null, { unit: desiredUnit, value: convertedValue }];
-            } catch (error) {
-                return [`Error during conversion: ${error.message}`, null];
             }
+            if (/^'.*'$/.test(text)) return text.slice(1, -1).replace(/''/g, "'");
+            if (/^(?:null|~)$/.test(text)) return null;
+            if (text === 'true' || text === 'false') return text === 'true';
+            if (ConversionTableSerializer._isYamlNumber(text)) return Number(text);
+            return text;
+        }
+
+        /**
+         * Checks whether a string reads as a YAML number.
+         *
+         * @param {string} text - The text to check.
+         * @returns {boolean} True when the text is a number.
+         * @private
+         */
+        static _isYamlNumber(text) {
+            return /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i.test(text);
         }
     }
 
     // ConversionTableManager class: Manages the registration and retrieval of ConversionTable instances
     class ConversionTableManager {
-        constructor() {
+        /**
+         * Creates an instance of ConversionTableManager.
+         *
+         * @param {Object} [options] - Manager options.
+         * @param {{decimal: string, thousands: string}} [options.numberFormat] - The number format used by every table
+         *                                                                        registered through this manager.
+         */
+        constructor(options = {}) {
             this.tables = {};
+            this.numberFormat = options.numberFormat || null;
+            this.extensions = {}; // Tables registered with `extends`: their parents, own units and options
+            this.bridges = []; // Factors between the base units of tables, declared with `bridge()`
         }
 
         /**
          * Registers a new conversion table.
          *
+         * With `extends`, the table inherits every unit, alias and term of the named tables, which must share
+         * their base unit, and `rawTable` only holds what it adds or overrides: an entry replaces the inherited
+         * unit with the same key, and a `null` entry leaves it out. Unless given, the dimension and matching options
+         * are inherited too. The table is rebuilt whenever a table it extends is registered again or edited.
+         *
          * @param {string} name - The name of the conversion table.
          * @param {Object} rawTable - The raw conversion table data.
-         * @param {boolean} [force=false] - Whether to overwrite an existing table.
+         * @param {boolean|Object} [options=false] - Whether to overwrite an existing table, or an options object.
+         * @param {boolean} [options.force=false] - Whether to overwrite an existing table.
+         * @param {string} [options.dimension] - The physical dimension measured by the table (e.g. 'length').
+         * @param {boolean} [options.strict=false] - Whether to refuse the table when validation reports any error
+         *                                           (see `ConversionTable.validate()`).
+         * @param {boolean} [options.caseSensitive=true] - Whether unit keys must be typed with their exact case (terms
+         *                                                 always match ignoring case).
+         * @param {boolean} [options.ignoreWhitespace=false] - Whether whitespace inside unit keys is optional.
+         * @param {string|string[]} [options.extends] - The registered table(s) to inherit units from (see above).
          * @returns {[string|null, string|null]} Tuple with error message (or null), and success message (or null).
          */
-        register(name, rawTable, force = false) {
+        register(name, rawTable, options = false) {
+            const registerOptions = ConversionTableManager._registerOptions(options);
+            const { force = false, strict = false, extends: parents } = registerOptions;
+            let { dimension, caseSensitive, ignoreWhitespace } = registerOptions;
             if (this.tables[name] && !force) {
                 return [`Table '${name}' is already registered. Use force=true to overwrite.`, null];
             }
 
             try {
-                const [factoryError, tableInstance] = ConversionTable.factory(rawTable, name);
+                let units = rawTable;
+                let parentNames = null;
+                if (parents !== undefined) {
+                    const [extendError, extended] = this._extend(name, parents, rawTable);
+                    if (extendError) return [extendError, null];
+
+                    ({ units, parentNames } = extended);
+                    dimension = dimension ?? extended.dimension;
+                    caseSensitive = caseSensitive ?? extended.matching.caseSensitive;
+                    ignoreWhitespace = ignoreWhitespace ?? extended.matching.ignoreWhitespace;
+                }
+
+                const [factoryError, tableInstance] = ConversionTable.factory(units, name, { numberFormat: this.numberFormat, dimension, strict, caseSensitive, ignoreWhitespace });
                 if (factoryError) return [factoryError, null];
 
+                const previousTables = { ...this.tables };
+                const previousExtensions = { ...this.extensions };
                 this.tables[name] = tableInstance;
+                delete this.extensions[name];
+                if (parentNames) {
+                    tableInstance.extends = parentNames;
+                    this.extensions[name] = {
+                        parents: parentNames,
+                        rawTable: { ...rawTable },
+                        options: { dimension: registerOptions.dimension, strict, caseSensitive: registerOptions.caseSensitive, ignoreWhitespace: registerOptions.ignoreWhitespace },
+                    };
+                }
+
+                const rebuildError = this._rebuildExtensions(name);
+                if (rebuildError) {
+                    this.tables = previousTables;
+                    this.extensions = previousExtensions;
+                    return [rebuildError, null];
+                }
                 return [null, `Table '${name}' registered successfully.`];
             } catch (error) {
                 return [`Error registering table '${name}': ${error.message}`, null];
@@ -409,6 +3255,8 @@
                 return [null, null];
             }
             delete this.tables[name];
+            delete this.extensions[name];
+            this.bridges = this.bridges.filter(({ from, to }) => from !== name && to !== name);
             return [null, `Table '${name}' unregistered successfully.`];
         }
 
@@ -444,12 +3292,607 @@
             return table.findUnit(unitKey);
         }
 
+        /**
+         * Adds a unit or an alias to a registered table (see `ConversionTable.addUnit()`).
+         *
+         * @param {string} tableName - The name of the table.
+         * @param {string} key - The key of the new unit.
+         * @param {Object} unit - The raw unit data.
+         * @returns {[string|null, string|null]} Tuple with error message (or null), and success message (or null).
+         */
+        addUnit(tableName, key, unit) {
+            return this._editTable(tableName, (table) => table.addUnit(key, unit), (own) => {
+                own[key] = unit;
+            });
+        }
+
+        /**
+         * Changes a unit or an alias of a registered table (see `ConversionTable.updateUnit()`).
+         *
+         * @param {string} tableName - The name of the table.
+         * @param {string} key - The key of the unit to change.
+         * @param {Object} changes - The raw unit properties to change.
+         * @returns {[string|null, string|null]} Tuple with error message (or null), and success message (or null).
+         */
+        updateUnit(tableName, key, changes) {
+            return this._editTable(tableName, (table) => table.updateUnit(key, changes), (own, previous) => {
+                own[key] = { ...(own[key] || previous[key]), ...changes };
+            });
+        }
+
+        /**
+         * Removes a unit or an alias from a registered table (see `ConversionTable.removeUnit()`).
+         *
+         * @param {string} tableName - The name of the table.
+         * @param {string} key - The key of the unit to remove.
+         * @returns {[string|null, string|null]} Tuple with error message (or null), and success message (or null).
+         */
+        removeUnit(tableName, key) {
+            return this._editTable(tableName, (table) => table.removeUnit(key), (own) => {
+                own[key] = null;
+            });
+        }
+
+        /**
+         * Exports a registered table as a table document (see `TABLE_SCHEMA`).
+         *
+         * @param {string} name - The name of the table.
+         * @param {Object} [options] - Export options.
+         * @param {string} [options.format='json'] - 'json' or 'yaml'.
+         * @returns {[string|null, string|null]} Tuple with error message (or null), and the document text (or null).
+         */
+        exportTable(name, options = {}) {
+            const [error, table] = this.get(name);
+            if (error) return [error, null];
+            const functionsError = ConversionTableSerializer._findFunctions({ [name]: table });
+            if (functionsError) return [functionsError, null];
+            return ConversionTableSerializer.stringify(ConversionTableSerializer.serialize({ [name]: table }), options.format);
+        }
+
+        /**
+         * Exports all registered tables as one table document (see `TABLE_SCHEMA`).
+         *
+         * @param {Object} [options] - Export options.
+         * @param {string} [options.format='json'] - 'json' or 'yaml'.
+         * @returns {[string|null, string|null]} Tuple with error message (or null), and the document text (or null).
+         */
+        exportAll(options = {}) {
+            const functionsError = ConversionTableSerializer._findFunctions(this.tables);
+            if (functionsError) return [functionsError, null];
+            return ConversionTableSerializer.stringify(ConversionTableSerializer.serialize(this.tables), options.format);
+        }
+
+        /**
+         * Registers the tables of a table document, as written by `exportTable()` or `exportAll()`.
+         *
+         * The document is validated first, and every problem is reported at once. Nothing is registered
+         * unless the whole document is valid and no table name is taken (unless force=true).
+         *
+         * @param {string|Object} input - The document as JSON or YAML-like text, or as an object.
+         * @param {boolean|Object} [options=false] - Whether to overwrite existing tables, or an options object with `force`.
+         * @returns {[string|null, string|null]} Tuple with error message (or null), and success message (or null).
+         */
+        importTables(input, options = false) {
+            const { force = false } = ConversionTableManager._registerOptions(options);
+
+            let document = input;
+            if (typeof input === 'string') {
+                const [parseError, parsed] = ConversionTableSerializer.parse(input);
+                if (parseError) return [parseError, null];
+                document = parsed;
+            }
+
+            const problems = ConversionTableSerializer.validate(document);
+            if (problems.length) return [`Invalid table document: ${problems.join('; ')}.`, null];
+
+            const names = Object.keys(document.tables);
+            const taken = names.find((name) => this.tables[name]);
+            if (taken && !force) return [`Table '${taken}' is already registered. Use force=true to overwrite.`, null];
+
+            const previousTables = { ...this.tables };
+            const previousExtensions = { ...this.extensions };
+            for (const name of names) {
+                const tableDocument = document.tables[name];
+                const rawTable = ConversionTableSerializer.toRawTable(tableDocument);
+                const { dimension, caseSensitive, ignoreWhitespace } = tableDocument;
+                const [error] = this.register(name, rawTable, { force: true, dimension, caseSensitive, ignoreWhitespace });
+                if (error) {
+                    this.tables = previousTables;
+                    this.extensions = previousExtensions;
+                    return [error, null];
+                }
+
+                if (tableDocument.precision !== undefined) this.tables[name].precision = tableDocument.precision;
+                if (tableDocument.derivedFrom) this.tables[name].derivedFrom = tableDocument.derivedFrom;
+            }
+            return [null, `Tables ${names.map((name) => `'${name}'`).join(', ')} imported successfully.`];
+        }
+
+        /**
+         * Registers one of the built-in tables (see `BUILTIN_TABLES`) under its own name, with its dimension.
+         *
+         * @param {string} name - The name of the built-in table ('length', 'mass', 'volume', 'temperature',
+         *                        'typography', 'data' or 'time').
+         * @param {boolean|Object} [options=false] - Whether to overwrite an existing table, or an options object (see `register()`).
+         * @returns {[string|null, string|null]} Tuple with error message (or null), and success message (or null).
+         */
+        registerBuiltin(name, options = false) {
+            const builtin = BUILTIN_TABLES[name];
+            if (!builtin) {
+                return [`Built-in table '${name}' not found. Available tables: ${Object.keys(BUILTIN_TABLES).join(', ')}.`, null];
+            }
+
+            // Register a copy, so that the shared built-in definition is never modified
+            const rawTable = JSON.parse(JSON.stringify(builtin.units));
+            return this.register(name, rawTable, { dimension: builtin.dimension, ...ConversionTableManager._registerOptions(options) });
+        }
+
+        /**
+         * Registers all built-in tables at once.
+         *
+         * @param {boolean|Object} [options=false] - Whether to overwrite existing tables, or an options object (see `register()`).
+         * @returns {[string|null, string|null]} Tuple with error message (or null), and success message (or null).
+         */
+        registerBuiltins(options = false) {
+            for (const name of Object.keys(BUILTIN_TABLES)) {
+                const [error] = this.registerBuiltin(name, options);
+                if (error) return [error, null];
+            }
+            return [null, 'Built-in tables registered successfully.'];
+        }
+
+        /**
+         * Registers a table derived from registered tables, such as `'length/time'` for speed or
+         * `'length^2'` for area. Its units combine the units of the component tables ("km/h", "m²"),
+         * with scales computed from the component scales (see `ConversionTable.deriveTable`).
+         * Unless given, its dimension is combined from the component dimensions.
+         *
+         * @param {string} name - The name of the derived table.
+         * @param {string} definition - The component table names combined with '*', '/' and integer powers ('^').
+         * @param {boolean|Object} [options=false] - Whether to overwrite an existing table, or an options object (see `register()`).
+         * @returns {[string|null, string|null]} Tuple with error message (or null), and success message (or null).
+         */
+        registerDerived(name, definition, options = false) {
+            const [factorsError, factors] = ConversionTable._parseFactors(definition);
+            if (factorsError) return [factorsError, null];
+
+            const components = [];
+            for (const { name: tableName, power } of factors) {
+                const [error, table] = this.get(tableName);
+                if (error) return [error, null];
+                components.push({ table, power });
+            }
+
+            const [deriveError, rawTable] = ConversionTable.deriveTable(components);
+            if (deriveError) return [deriveError, null];
+
+            const registerOptions = ConversionTableManager._registerOptions(options);
+            if (registerOptions.dimension === undefined && components.every(({ table }) => table.dimension)) {
+                const powers = new Map();
+                for (const { table, power } of components) {
+                    const [, dimensionFactors] = ConversionTable._parseFactors(table.dimension);
+                    for (const factor of dimensionFactors) {
+                        powers.set(factor.name, (powers.get(factor.name) || 0) + factor.power * power);
+                    }
+                }
+                const dimensionFactors = [...powers].filter(([, power]) => power !== 0).map(([factor, power]) => ({ name: factor, power }));
+                registerOptions.dimension = dimensionFactors.length ? ConversionTable._formatFactors(dimensionFactors) : undefined;
+            }
+
+            const [registerError, message] = this.register(name, rawTable, registerOptions);
+            if (registerError) return [registerError, null];
+
+            this.tables[name].derivedFrom = definition;
+            return [null, message];
+        }
+
+        /**
+         * Declares how the base units of two registered tables relate, so that `convertAcross()` can convert
+         * between tables with different bases (e.g. a table of US survey units and a metric table):
+         * a value in the base unit of `fromTable` is `value * factor + bias` in the base unit of `toTable`.
+         * The bridge works both ways and replaces an earlier bridge between the same tables. Like scales,
+         * the factor and bias may be exact decimals or ratios written as strings (e.g. '1200/3937').
+         *
+         * @param {string} fromTable - The name of the first table.
+         * @param {string} toTable - The name of the second table.
+         * @param {number|string} factor - The value of one base unit of `fromTable` in the base unit of `toTable`.
+         * @param {number|string} [bias=0] - The offset added after scaling.
+         * @returns {[string|null, string|null]} Tuple with error message (or null), and success message (or null).
+         */
+        bridge(fromTable, toTable, factor, bias = 0) {
+            for (const name of [fromTable, toTable]) {
+                const [error] = this.get(name);
+                if (error) return [error, null];
+            }
+            if (fromTable === toTable) {
+                return [`Cannot bridge table '${fromTable}' to itself.`, null];
+            }
+
+            const factorValue = ConversionTable._toNumber(factor);
+            if (!(factorValue > 0) || !isFinite(factorValue)) {
+                return [`Invalid bridge factor '${factor}'; it must be a positive number.`, null];
+            }
+            const biasValue = ConversionTable._toNumber(bias);
+            if (!isFinite(biasValue)) {
+                return [`Invalid bridge bias '${bias}'; it must be a finite number.`, null];
+            }
+
+            const from = this.tables[fromTable];
+            const to = this.tables[toTable];
+            if (from.dimension && to.dimension && from.dimension !== to.dimension) {
+                return [`Tables '${fromTable}' and '${toTable}' measure different dimensions ('${from.dimension}' and '${to.dimension}').`, null];
+            }
+
+            const bridge = { from: fromTable, to: toTable, factor: factorValue, bias: biasValue };
+            const exact = {};
+            if (typeof factor === 'string') exact.factor = factor;
+            if (typeof bias === 'string') exact.bias = bias;
+            if (Object.keys(exact).length) bridge.exact = exact;
+
+            const pair = [fromTable, toTable];
+            this.bridges = this.bridges.filter(({ from: a, to: b }) => !(pair.includes(a) && pair.includes(b)));
+            this.bridges.push(bridge);
+            return [null, `Tables '${fromTable}' and '${toTable}' bridged successfully.`];
+        }
+
+        /**
+         * Converts an input to `targetUnit` without naming a table: the table is found from the units.
+         *
+         * The input unit and the target unit must belong to the same table, or to tables connected by
+         * bridges (see `bridge()`); a bare number is taken in the base unit of the target's table. Unit
+         * symbols found in several tables (e.g. 'c' for cicero and cup) are narrowed down by the target unit
+         * and the `table` and `dimension` options. When the remaining tables all measure the same dimension
+         * the first registered one is used, otherwise the unit is reported as ambiguous.
+         *
+         * @param {string} input - The input string (e.g., "10cm").
+         * @param {string} targetUnit - The unit to convert to.
+         * @param {Object} [options] - Conversion options, passed on to `ConversionTableOperations.convert()`.
+         * @param {string} [options.table] - The name of the table to use.
+         * @param {string} [options.dimension] - Only consider tables measuring this dimension.
+         * @returns {[string|null, Object|null]} Tuple with error message (or null), and `{ unit, value, table }` (or null).
+         *          Conversions through bridges add `bridge`, the names of the tables crossed, from source to target.
+         */
+        convertAcross(input, targetUnit, options = {}) {
+            const [dimensionError, dimension] = ConversionTable.normalizeDimension(options.dimension);
+            if (dimensionError) return [dimensionError, null];
+
+            let tables = Object.values(this.tables);
+            if (options.table) {
+                const [error, table] = this.get(options.table);
+                if (error) return [error, null];
+                tables = [table];
+            }
+            if (dimension) {
+                tables = tables.filter((table) => table.dimension === dimension);
+            }
+
+            const targets = tables.filter((table) => table.table[targetUnit]);
+            if (targets.length === 0) {
+                return [`Unit '${targetUnit}' not found in any registered table.`, null];
+            }
+
+            const matches = ConversionTableManager._matchTables(input, tables, options);
+
+            // Tables that know the unit of the input; a bare number matches every table
+            const explicit = matches.filter(({ match }) => match.groups.majorUnit);
+            const sources = explicit.map(({ table }) => table);
+            const unit = explicit.length ? explicit[0].match.groups.majorUnit : targetUnit;
+            const candidates = sources.length
+                ? sources.filter((table) => targets.includes(table))
+                : matches.map(({ table }) => table).filter((table) => targets.includes(table));
+
+            if (candidates.length === 0) {
+                if (!matches.length) return ['Invalid input format or no match found.', null];
+
+                const routes = sources
+                    .map((source) => this._bridgeRoute(source, targets))
+                    .filter((route) => route);
+                if (routes.length) {
+                    const routeDimensions = new Set(routes.map(({ source }) => source.dimension || `table '${source.tableName}'`));
+                    if (routeDimensions.size > 1) {
+                        const found = routes.map(({ source }) => `'${source.tableName}' (${source.dimension || 'no dimension'})`).join(', ');
+                        return [`Ambiguous unit '${unit}': found in tables ${found}. Use the 'table' or 'dimension' option.`, null];
+                    }
+                    return this._convertBridged(input, targetUnit, routes[0], options);
+                }
+
+                const describe = (list) => [...new Set(list.map((table) => table.dimension || `table '${table.tableName}'`))];
+                const sourceDimensions = describe(sources);
+                const targetDimensions = describe(targets);
+                if (sourceDimensions.some((item) => targetDimensions.includes(item))) {
+                    return [`Units '${unit}' and '${targetUnit}' are not in the same table.`, null];
+                }
+                return [`Cannot convert ${sourceDimensions.join(', ')} ('${unit}') to ${targetDimensions.join(', ')} ('${targetUnit}').`, null];
+            }
+
+            const dimensions = new Set(candidates.map((table) => table.dimension || `table '${table.tableName}'`));
+            if (dimensions.size > 1) {
+                const found = candidates.map((table) => `'${table.tableName}' (${table.dimension || 'no dimension'})`).join(', ');
+                return [`Ambiguous unit '${unit}': found in tables ${found}. Use the 'table' or 'dimension' option.`, null];
+            }
+
+            const [table] = candidates;
+            const [convertError, result] = ConversionTableOperations.convert(input, targetUnit, table, options);
+            if (convertError) return [convertError, null];
+            return [null, { ...result, table: table.tableName }];
+        }
+
+        /**
+         * Parses an input against every registered table and returns all matching interpretations, ranked:
+         * matches on an explicit unit come before bare numbers taken in a table's base unit, tables named
+         * in `options.prefer` come first within each rank (e.g. to read 'c' as cicero rather than cup),
+         * and registration order breaks the remaining ties.
+         *
+         * @param {string} input - The input string to parse (e.g., "2c").
+         * @param {Object} [options] - Parsing options, passed on to `ConversionTableOperations.parse()`.
+         * @param {string|string[]} [options.prefer] - The name(s) of the preferred table(s), most preferred first.
+         * @returns {[string|null, Array<{table: string, dimension: string|null, match: string, parsed: Object}>|null]}
+         *          Tuple with error message (or null), and the interpretations (or null). `match` is either
+         *          'unit' (explicit unit) or 'base' (base unit fallback).
+         */
+        parseAny(input, options = {}) {
+            const preferred = [].concat(options.prefer || []);
+            const interpretations = [];
+            for (const { table, match } of ConversionTableManager._matchTables(input, Object.values(this.tables), options)) {
+                const [parseError, parsed] = ConversionTableOperations.parse(input, table, options);
+                // A minor value left without a unit means the table's unit has no minor unit: not an interpretation
+                if (parseError || (parsed.sub && !parsed.sub.unit)) continue;
+                interpretations.push({
+                    table: table.tableName,
+                    dimension: table.dimension,
+                    match: match.groups.majorUnit ? 'unit' : 'base',
+                    parsed,
+                });
+            }
+            if (interpretations.length === 0) {
+                return ['Invalid input format or no match found.', null];
+            }
+
+            const rank = ({ table, match }) => {
+                const preference = preferred.indexOf(table);
+                return [match === 'unit' ? 0 : 1, preference === -1 ? preferred.length : preference];
+            };
+            // The sort is stable, so interpretations of equal rank keep their registration order
+            interpretations.sort((a, b) => {
+                const [matchA, preferenceA] = rank(a);
+                const [matchB, preferenceB] = rank(b);
+                return matchA - matchB || preferenceA - preferenceB;
+            });
+            return [null, interpretations];
+        }
+
+        /**
+         * Matches an input against each of the given tables.
+         *
+         * @param {string} input - The input string to match.
+         * @param {ConversionTable[]} tables - The tables to match against.
+         * @param {Object} [options] - Parsing options (see `ConversionTableOperations.parse()`).
+         * @returns {Array<{table: ConversionTable, match: Array}>} The tables the input matches, with their match.
+         * @private
+         */
+        static _matchTables(input, tables, options = {}) {
+            if (typeof input !== 'string') return [];
+            return tables.map((table) => {
+                const [, matched] = ConversionTableOperations._matchInput(input, table, options);
+                return { table, match: matched && matched.match };
+            }).filter(({ match }) => match);
+        }
+
+        /**
+         * Finds the shortest chain of bridges from a table to one of the target tables.
+         *
+         * @param {ConversionTable} source - The table of the input.
+         * @param {ConversionTable[]} targets - The tables holding the target unit.
+         * @returns {{source: ConversionTable, target: ConversionTable, path: string[], steps: Array}|null}
+         *          The route, with the names of the tables crossed and each bridge with its direction (or null).
+         * @private
+         */
+        _bridgeRoute(source, targets) {
+            const targetNames = new Map(targets.map((table) => [table.tableName, table]));
+            const queue = [{ name: source.tableName, path: [source.tableName], steps: [] }];
+            const visited = new Set([source.tableName]);
+            while (queue.length) {
+                const { name, path, steps } = queue.shift();
+                if (targetNames.has(name) && steps.length) {
+                    return { source, target: targetNames.get(name), path, steps };
+                }
+                for (const bridge of this.bridges) {
+                    const forward = bridge.from === name;
+                    const next = forward ? bridge.to : bridge.to === name ? bridge.from : null;
+                    if (next === null || visited.has(next)) continue;
+                    visited.add(next);
+                    queue.push({ name: next, path: [...path, next], steps: [...steps, { bridge, forward }] });
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Converts an input through a route of bridges found by `_bridgeRoute()`.
+         *
+         * @param {string} input - The input string.
+         * @param {string} targetUnit - The unit to convert to.
+         * @param {Object} route - The route.
+         * @param {Object} options - Conversion options (see `ConversionTableOperations.convert()`).
+         * @returns {[string|null, Object|null]} Tuple with error message (or null), and `{ unit, value, table, bridge }` (or null).
+         * @private
+         */
+        _convertBridged(input, targetUnit, route, options) {
+            const [prepareError, context] = ConversionTableOperations._prepareConversion(targetUnit, route.target, options);
+            if (prepareError) return [prepareError, null];
+
+            const parseOptions = context.exact ? { ...options, exact: true } : options;
+            const [parseError, parsed] = ConversionTableOperations.parse(input, route.source, parseOptions);
+            if (parseError) return [parseError, null];
+
+            const [rangeError, valueInBase] = ConversionTableOperations._toBaseValue(parsed, route.source);
+            if (rangeError) return [rangeError, null];
+
+            let value = valueInBase;
+            for (const { bridge, forward } of route.steps) {
+                value = ConversionTableManager._crossBridge(value, bridge, forward);
+            }
+
+            const [convertError, result] = ConversionTableOperations._fromBaseValue(value, context);
+            if (convertError) return [convertError, null];
+            return [null, { ...result, table: route.target.tableName, bridge: route.path }];
+        }
+
+        /**
+         * Carries a value in the base unit of one side of a bridge to the base unit of the other side.
+         *
+         * @param {number|Rational} value - The value; a `Rational` for exact conversions.
+         * @param {Object} bridge - The bridge, as stored by `bridge()`.
+         * @param {boolean} forward - Whether the value is in the base unit of the bridge's `from` table.
+         * @returns {number|Rational} The value in the base unit of the other table.
+         * @private
+         */
+        static _crossBridge(value, bridge, forward) {
+            if (value instanceof Rational) {
+                const exactOf = (property) => bridge.exact?.[property]
+                    ? Rational.parse(bridge.exact[property])
+                    : Rational.fromNumber(bridge[property]);
+                const factor = exactOf('factor');
+                const bias = exactOf('bias');
+                return forward ? value.multiply(factor).add(bias) : value.subtract(bias).divide(factor);
+            }
+            return forward ? value * bridge.factor + bridge.bias : (value - bridge.bias) / bridge.factor;
+        }
+
+        /**
+         * Merges the tables named by the `extends` option of `register()` with the table's own units.
+         *
+         * @param {string} name - The name of the extending table.
+         * @param {string|string[]} parents - The name(s) of the tables to extend.
+         * @param {Object} rawTable - The units the table adds or overrides; `null` entries leave inherited units out.
+         * @returns {[string|null, Object|null]} A tuple with the error message (or null), and the merged raw table
+         *                                       with the parent names and the inherited dimension and matching (or null).
+         * @private
+         */
+        _extend(name, parents, rawTable) {
+            const parentNames = typeof parents === 'string' ? [parents] : parents;
+            if (!Array.isArray(parentNames) || !parentNames.length || parentNames.some((parent) => typeof parent !== 'string')) {
+                return ['Invalid extends option; use a table name or a non-empty array of table names.', null];
+            }
+            if (typeof rawTable !== 'object' || rawTable === null) {
+                return [`Invalid table '${name}'; use an object of units.`, null];
+            }
+
+            const tables = [];
+            for (const parent of parentNames) {
+                const [error, table] = this.get(parent);
+                if (error) return [error, null];
+
+                // A table extending the new table, directly or not, cannot be one of its parents
+                const ancestors = [parent];
+                for (let index = 0; index < ancestors.length; index++) {
+                    if (ancestors[index] === name) {
+                        return [`Table '${name}' cannot extend '${parent}', which extends '${name}'.`, null];
+                    }
+                    ancestors.push(...(this.extensions[ancestors[index]]?.parents || []));
+                }
+
+                const first = tables[0];
+                if (first && first.table.base !== table.base) {
+                    return [`Tables '${first.name}' and '${parent}' cannot be merged: their base units '${first.table.base}' and '${table.base}' differ.`, null];
+                }
+                tables.push({ name: parent, table });
+            }
+
+            const units = {};
+            for (const { table } of tables) Object.assign(units, table.toRawTable());
+            for (const [key, unit] of Object.entries(rawTable)) {
+                if (unit === null) delete units[key];
+                else units[key] = unit;
+            }
+
+            const dimensions = new Set(tables.map(({ table }) => table.dimension));
+            return [null, {
+                units,
+                parentNames: [...parentNames],
+                dimension: dimensions.size === 1 ? tables[0].table.dimension ?? undefined : undefined,
+                matching: tables[0].table.matching,
+            }];
+        }
+
+        /**
+         * Registers again every table extending `name`, after `name` was registered or edited. Their own
+         * extensions are rebuilt in turn.
+         *
+         * @param {string} name - The name of the changed table.
+         * @returns {string|null} The error message of the first table that could not be rebuilt, or null.
+         * @private
+         */
+        _rebuildExtensions(name) {
+            for (const [child, extension] of Object.entries(this.extensions)) {
+                if (!extension.parents.includes(name)) continue;
+
+                const [error] = this.register(child, extension.rawTable, { ...extension.options, extends: extension.parents, force: true });
+                if (error) return `Table '${child}', which extends '${name}', cannot be rebuilt: ${error}`;
+            }
+            return null;
+        }
+
+        /**
+         * Edits a registered table, records the edit in its own units when it extends other tables, and
+         * rebuilds the tables extending it. Nothing changes unless all of it succeeds.
+         *
+         * @param {string} tableName - The name of the table.
+         * @param {function(ConversionTable): Array} edit - Edits the table, returning the result tuple of the edit.
+         * @param {function(Object, Object): void} record - Records the edit in the table's own raw units, given the
+         *                                                  raw table from before the edit.
+         * @returns {[string|null, string|null]} Tuple with error message (or null), and success message (or null).
+         * @private
+         */
+        _editTable(tableName, edit, record) {
+            const [error, table] = this.get(tableName);
+            if (error) return [error, null];
+
+            const before = { table: table.table, base: table.base, regexString: table.regexString, precision: table.precision, diagnostics: table.diagnostics };
+            const extension = this.extensions[tableName];
+            const previousRaw = extension ? table.toRawTable() : null;
+            const previousTables = { ...this.tables };
+            const previousExtensions = { ...this.extensions };
+
+            const [editError, message] = edit(table);
+            if (editError) return [editError, null];
+
+            if (extension) {
+                const own = { ...extension.rawTable };
+                record(own, previousRaw);
+                this.extensions[tableName] = { ...extension, rawTable: own };
+            }
+
+            const rebuildError = this._rebuildExtensions(tableName);
+            if (rebuildError) {
+                Object.assign(table, before);
+                this.tables = previousTables;
+                this.extensions = previousExtensions;
+                return [rebuildError, null];
+            }
+            return [null, message];
+        }
+
+        /**
+         * Normalizes the options argument of `register()`, which may be a bare `force` flag.
+         *
+         * @param {boolean|Object} options - The `force` flag or an options object.
+         * @returns {Object} The options object.
+         * @private
+         */
+        static _registerOptions(options) {
+            return typeof options === 'object' && options !== null ? { ...options } : { force: !!options };
+        }
     }
 
     return {
+        BUILTIN_TABLES,
+        TABLE_SCHEMA,
+        Rational,
         ConversionUnit,
         ConversionTable,
         ConversionTableOperations,
+        ConversionTableSerializer,
         ConversionTableManager
     };
 }));
@@ -0,0 +1,81 @@
+// conversion-table-aliases.test.js
+const { ConversionTableManager, ConversionTable, ConversionTableOperations, ConversionUnit } = require('../conversion-table-manager');
+
+const typographyTable = {
+    'in': { scale: 72.0, term: 'Inch(es)', aliases: ['"', 'inch', 'inches'] }, // Inches and their spellings
+    'i': { alias: 'inch' },                                                   // Alias of an alias
+    'ii': { alias: 'i' },                                                     // Two hops away from 'in'
+    'p': { scale: 12.0, minor: 'pt', term: 'Pica(s)', aliases: ['pc'] },     // Picas with Points as the minor unit
+    'pt': { base: true, term: 'Point(s)', aliases: ['pts'] },                 // Points as the base unit
+};
+
+describe('ConversionTable - aliases', () => {
+    let conversionManager;
+    let table;
+
+    beforeEach(() => {
+        conversionManager = new ConversionTableManager();
+        conversionManager.register('typography', typographyTable);
+        [, table] = conversionManager.get('typography');
+    });
+
+    test('should expand the aliases array into alias entries after their unit', () => {
+        expect(Object.keys(table.table)).toEqual(['in', '"', 'inch', 'inches', 'i', 'ii', 'p', 'pc', 'pt', 'pts']);
+        expect(table.table.inches).toMatchObject({ alias: 'in', scale: 72, term: ['Inch', 'Inches'] });
+    });
+
+    test('should flatten alias chains to the actual unit', () => {
+        expect(table.table.i.alias).toBe('in');
+        expect(table.table.ii).toMatchObject({ alias: 'in', scale: 72 });
+    });
+
+    test.each(['2"', '2 inch', '2inches', '2i', '2ii'])(
+        'should parse %s as inches',
+        (input) => {
+            const [error, parsed] = ConversionTableOperations.parse(input, table);
+            expect(error).toBeNull();
+            expect(parsed.main).toEqual({ unit: 'in', value: 2, scale: 72, bias: 0 });
+        }
+    );
+
+    test('should use the minor unit of an aliased unit', () => {
+        const [error, result] = ConversionTableOperations.convert('1pc6', 'pts', table);
+        expect(error).toBeNull();
+        expect(result).toEqual({ unit: 'pts', value: 18 });
+    });
+
+    test('should find chained aliases', () => {
+        const [error, unit] = table.findUnit('ii');
+        expect(error).toBeNull();
+        expect(unit).toEqual(new ConversionUnit({ alias: 'in', base: false, bias: 0, minor: null, scale: 72, term: ['Inch', 'Inches'] }));
+        expect(table.resolveUnit('ii')).toEqual([null, { key: 'in', unit: table.table.in }]);
+    });
+
+    test('should format chained aliases as their actual unit', () => {
+        expect(ConversionTableOperations.format(144, 'ii', table, { long: true })).toEqual([null, '2 Inches']);
+    });
+
+    test('should resolve chains even in a table edited after normalization', () => {
+        table.table.x = { alias: 'y' };
+        table.table.y = { alias: 'x' };
+        table.invalidate();
+        expect(table.resolveUnit('x')).toEqual(["Alias 'x' resolves in a cycle.", null]);
+        expect(table.resolveUnit('nope')).toEqual(["Unit 'nope' not found in table 'typography'.", null]);
+    });
+
+    test('should return errors for invalid or colliding aliases', () => {
+        expect(ConversionTable.factory({ 'pt': { base: true, aliases: 'point' } }, 'typography'))
+            .toEqual(["Unit 'pt' has invalid aliases; they must be an array of unit keys.", null]);
+        expect(ConversionTable.factory({ 'pt': { base: true, aliases: ['p'] }, 'p': { scale: 12 } }, 'typography'))
+            .toEqual(["Alias 'p' of 'pt' collides with unit 'p'.", null]);
+        expect(ConversionTable.factory({ 'pt': { base: true, aliases: ['x'] }, 'p': { scale: 12, aliases: ['x'] } }, 'typography'))
+            .toEqual(["Alias 'x' of 'p' is already an alias of 'pt'.", null]);
+        expect(ConversionTable.validate({ 'pt': { base: true, aliases: [''] } }))
+            .toEqual([{ code: 'INVALID_ALIAS', unit: null, message: "Unit 'pt' has invalid aliases; they must be an array of unit keys.", severity: 'error' }]);
+    });
+
+    test('should detect cycles through the aliases array', () => {
+        const [error] = ConversionTable.factory({ 'pt': { base: true }, 'a': { alias: 'b', aliases: ['b'] } }, 'typography');
+        expect(error).toBe("Alias 'a' resolves in a cycle: a → b → a.");
+    });
+});
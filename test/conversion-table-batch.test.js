@@ -0,0 +1,69 @@
+// conversion-table-batch.test.js
+const { ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+describe('ConversionTableOperations - convertMany() method', () => {
+    let tables;
+
+    beforeEach(() => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.registerBuiltins();
+        tables = conversionManager.tables;
+    });
+
+    test('should give the same results as convert() for every input', () => {
+        const inputs = ['1in', '5ft 3in', '3 feet', '2.54cm', '-1mi', '1yd 2ft 6in'];
+        const [error, batch] = ConversionTableOperations.convertMany(inputs, 'in', tables.length);
+        expect(error).toBeNull();
+        expect(batch.results).toEqual(inputs.map((input) => ConversionTableOperations.convert(input, 'in', tables.length)));
+        expect(batch.summary).toEqual({ total: 6, converted: 6, failed: 0, failures: [] });
+    });
+
+    test('should report failing inputs without stopping the batch', () => {
+        const inputs = ['1in', 'twelve', '', 3, '3in 5ft', '2ft'];
+        const [error, batch] = ConversionTableOperations.convertMany(inputs, 'in', tables.length);
+        expect(error).toBeNull();
+        expect(batch.results).toEqual([
+            [null, { unit: 'in', value: 1 }],
+            ['Invalid input format or no match found.', null],
+            ['Invalid input format or no match found.', null],
+            ["Invalid input '3'.", null],
+            ["Units in '3in 5ft' must be in descending order, but 'ft' follows 'in'.", null],
+            [null, { unit: 'in', value: 24 }],
+        ]);
+        expect(batch.summary).toEqual({
+            total: 6,
+            converted: 2,
+            failed: 4,
+            failures: [
+                { index: 1, input: 'twelve', error: 'Invalid input format or no match found.' },
+                { index: 2, input: '', error: 'Invalid input format or no match found.' },
+                { index: 3, input: 3, error: "Invalid input '3'." },
+                { index: 4, input: '3in 5ft', error: "Units in '3in 5ft' must be in descending order, but 'ft' follows 'in'." },
+            ],
+        });
+    });
+
+    test('should pass the conversion options on', () => {
+        const [, chained] = ConversionTableOperations.convertMany(['4815s', '90min'], 'h', tables.time, { chain: true, precision: 2 });
+        expect(chained.results.map(([, result]) => result.chain.map(({ value }) => value))).toEqual([[1, 20, 15], [1, 30, 0]]);
+
+        const [, exact] = ConversionTableOperations.convertMany(['1in', '1ft'], 'cm', tables.length, { exact: true });
+        expect(exact.results).toEqual([[null, { unit: 'cm', value: '2.54' }], [null, { unit: 'cm', value: '30.48' }]]);
+
+        const [, decimalComma] = ConversionTableOperations.convertMany(['1,5ft', '2ft'], 'in', tables.length, { numberFormat: { decimal: ',', thousands: '.' } });
+        expect(decimalComma.results.map(([, result]) => result.value)).toEqual([18, 24]);
+    });
+
+    test('should return errors for invalid arguments once for the whole batch', () => {
+        expect(ConversionTableOperations.convertMany('1in', 'cm', tables.length))
+            .toEqual(['Invalid inputs; use an array of strings.', null]);
+        expect(ConversionTableOperations.convertMany(['1in'], 'x', tables.length))
+            .toEqual(["Unit 'x' not found.", null]);
+        expect(ConversionTableOperations.convertMany(['1in'], 'cm', tables.length, { rounding: 'up' }))
+            .toEqual(["Unknown rounding mode 'up'. Use one of 'half-up', 'half-even', 'floor', 'ceil', 'truncate'.", null]);
+        expect(ConversionTableOperations.convertMany(['1in'], 'cm', tables.length, { fraction: 3 }))
+            .toEqual(["Fraction denominator must be a power of two, got '3'.", null]);
+        expect(ConversionTableOperations.convertMany([], 'cm', tables.length))
+            .toEqual([null, { results: [], summary: { total: 0, converted: 0, failed: 0, failures: [] } }]);
+    });
+});
@@ -0,0 +1,103 @@
+// conversion-table-builtins.test.js
+const { ConversionTableManager, ConversionTableOperations, BUILTIN_TABLES } = require('../conversion-table-manager');
+
+// Test data: exact equivalences per built-in table
+const equivalenceCases = [
+    { table: 'length', input: '1in', targetUnit: 'cm', expected: 2.54 },
+    { table: 'length', input: '1mi', targetUnit: 'km', expected: 1.609344 },
+    { table: 'length', input: '1yd', targetUnit: 'ft', expected: 3 },
+    { table: 'length', input: '5ft6', targetUnit: 'in', expected: 66 },
+    { table: 'length', input: '1nmi', targetUnit: 'm', expected: 1852 },
+    { table: 'mass', input: '1lb', targetUnit: 'g', expected: 453.59237 },
+    { table: 'mass', input: '1lb', targetUnit: 'oz', expected: 16 },
+    { table: 'mass', input: '1st', targetUnit: 'lb', expected: 14 },
+    { table: 'mass', input: '1t', targetUnit: 'kg', expected: 1000 },
+    { table: 'volume', input: '1gal', targetUnit: 'L', expected: 3.785411784 },
+    { table: 'volume', input: '1gal', targetUnit: 'qt', expected: 4 },
+    { table: 'volume', input: '1qt', targetUnit: 'c', expected: 4 },
+    { table: 'volume', input: '1c', targetUnit: 'floz', expected: 8 },
+    { table: 'volume', input: '1tbsp', targetUnit: 'tsp', expected: 3 },
+    { table: 'volume', input: '1m³', targetUnit: 'L', expected: 1000 },
+    { table: 'temperature', input: '32F', targetUnit: 'C', expected: 0 },
+    { table: 'temperature', input: '212F', targetUnit: 'C', expected: 100 },
+    { table: 'temperature', input: '-40C', targetUnit: 'F', expected: -40 },
+    { table: 'temperature', input: '0K', targetUnit: 'C', expected: -273.15 },
+    { table: 'temperature', input: '0F', targetUnit: 'R', expected: 459.67 },
+    { table: 'temperature', input: '0R', targetUnit: 'K', expected: 0 },
+    { table: 'typography', input: '1in', targetUnit: 'pt', expected: 72 },
+    { table: 'typography', input: '1in', targetUnit: 'p', expected: 6 },
+    { table: 'typography', input: '4px', targetUnit: 'pt', expected: 3 },
+    { table: 'typography', input: '4Q', targetUnit: 'mm', expected: 1 },
+    { table: 'typography', input: '1c', targetUnit: 'd', expected: 12 },
+    { table: 'data', input: '1KiB', targetUnit: 'B', expected: 1024 },
+    { table: 'data', input: '1GiB', targetUnit: 'MiB', expected: 1024 },
+    { table: 'data', input: '1GB', targetUnit: 'kB', expected: 1e6 },
+    { table: 'data', input: '1B', targetUnit: 'bit', expected: 8 },
+    { table: 'time', input: '1h30', targetUnit: 'min', expected: 90 },
+    { table: 'time', input: '1wk', targetUnit: 'd', expected: 7 },
+];
+
+describe('ConversionTableManager - built-in tables', () => {
+    let conversionManager;
+
+    beforeEach(() => {
+        conversionManager = new ConversionTableManager();
+    });
+
+    test('should register all built-in tables with their dimensions', () => {
+        const [error, message] = conversionManager.registerBuiltins();
+        expect(error).toBeNull();
+        expect(message).toBe('Built-in tables registered successfully.');
+        expect(Object.keys(conversionManager.tables)).toEqual(Object.keys(BUILTIN_TABLES));
+        expect(conversionManager.tables.temperature.dimension).toBe('temperature');
+        expect(conversionManager.tables.typography.dimension).toBe('length');
+    });
+
+    test.each(equivalenceCases)(
+        'should convert $input to $targetUnit in $table',
+        ({ table, input, targetUnit, expected }) => {
+            conversionManager.registerBuiltin(table);
+            const [, conversionTable] = conversionManager.get(table);
+            const [error, result] = ConversionTableOperations.convert(input, targetUnit, conversionTable);
+            expect(error).toBeNull();
+            expect(result.value).toBeCloseTo(expected, 9);
+        }
+    );
+
+    test('should give every built-in unit a term', () => {
+        for (const { units } of Object.values(BUILTIN_TABLES)) {
+            for (const unit of Object.values(units)) {
+                expect(typeof unit.term).toBe('string');
+            }
+        }
+    });
+
+    test('should not modify the shared built-in definitions', () => {
+        const before = JSON.stringify(BUILTIN_TABLES);
+        conversionManager.registerBuiltins();
+        conversionManager.tables.length.table.m.scale = 2;
+        expect(JSON.stringify(BUILTIN_TABLES)).toBe(before);
+    });
+
+    test('should freeze the built-in definitions', () => {
+        expect(() => { BUILTIN_TABLES.length.units.in.scale = 1; }).toThrow(TypeError);
+        expect(() => { BUILTIN_TABLES.length.units.furlong = { scale: 201.168 }; }).toThrow(TypeError);
+        expect(() => { BUILTIN_TABLES.length.units.m.prefixes.push('G'); }).toThrow(TypeError);
+        expect(() => { BUILTIN_TABLES.time.dimension = 'duration'; }).toThrow(TypeError);
+
+        conversionManager.registerBuiltin('length');
+        expect(ConversionTableOperations.convert('1in', 'm', conversionManager.tables.length)).toEqual([null, { unit: 'm', value: 0.0254 }]);
+    });
+
+    test('should return an error for an unknown built-in table', () => {
+        const [error, message] = conversionManager.registerBuiltin('energy');
+        expect(error).toBe("Built-in table 'energy' not found. Available tables: length, mass, volume, temperature, typography, data, time.");
+        expect(message).toBeNull();
+    });
+
+    test('should not overwrite an existing table unless force=true', () => {
+        conversionManager.registerBuiltin('length');
+        expect(conversionManager.registerBuiltin('length')).toEqual(["Table 'length' is already registered. Use force=true to overwrite.", null]);
+        expect(conversionManager.registerBuiltin('length', true)[0]).toBeNull();
+    });
+});
@@ -0,0 +1,86 @@
+// conversion-table-cache.test.js
+const { ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+const typographyTable = {
+    'pt': { base: true, term: 'Point(s)', aliases: ['pts'] },  // Points as the base unit
+    'p': { scale: 12, minor: 'pts', term: 'Pica(s)' },         // Picas with an alias as the minor unit
+    'in': { scale: 72, term: 'Inch(es)' },                     // Inches
+    'i': { alias: 'in' },                                      // Alias for inches
+    'ii': { alias: 'i' },                                      // Alias of an alias
+};
+
+describe('ConversionTable - compiled matchers and unit index', () => {
+    let conversionManager;
+    let typography;
+
+    beforeEach(() => {
+        conversionManager = new ConversionTableManager();
+        conversionManager.register('typography', typographyTable);
+        [, typography] = conversionManager.get('typography');
+    });
+
+    test('should index every unit with its actual key and minor unit', () => {
+        const index = typography.unitIndex();
+        expect([...index.keys()]).toEqual(Object.keys(typography.table));
+        expect(index.get('ii')).toEqual({ key: 'in', unit: typography.table.in, minor: null });
+        expect(index.get('p')).toEqual({ key: 'p', unit: typography.table.p, minor: 'pt' });
+        expect(index.get('pts')).toMatchObject({ key: 'pt', minor: null });
+    });
+
+    test('should reuse the compiled matcher', () => {
+        const matcher = typography.matcher();
+        expect(matcher).toBeInstanceOf(RegExp);
+        expect(matcher.source).toBe(new RegExp(typography.regexString, 'u').source);
+        ConversionTableOperations.parse('1p6', typography);
+        expect(typography.matcher()).toBe(matcher);
+    });
+
+    test('should leave the cache out of comparisons of tables', () => {
+        const otherManager = new ConversionTableManager();
+        otherManager.register('typography', typographyTable);
+        typography.matchUnit('Inches');
+        expect(otherManager.tables.typography).toEqual(typography);
+        expect(Object.keys(typography)).not.toContain('_cache');
+    });
+
+    test('should rebuild after edits', () => {
+        const index = typography.unitIndex();
+        conversionManager.addUnit('typography', 'ft', { scale: 864, term: 'Foot/Feet' });
+        expect(typography.unitIndex()).not.toBe(index);
+        expect(typography.matchUnit('feet')).toBe('ft');
+        expect(typography.unitIndex().get('ft')).toMatchObject({ key: 'ft', minor: null });
+
+        conversionManager.removeUnit('typography', 'ft');
+        expect(typography.matchUnit('feet')).toBeNull();
+        expect(typography.unitIndex().has('ft')).toBe(false);
+    });
+
+    test('should keep the table mutable and rebuild after invalidate()', () => {
+        const matcher = typography.matcher();
+        typography.table.ft = { base: false, scale: 864, bias: 0, alias: null, minor: null, term: ['Foot', 'Feet'] };
+        typography.table.in.scale = 72.27;
+        typography.invalidate();
+        expect(typography.matcher()).not.toBe(matcher);
+        expect(typography.matcher().source).toBe(matcher.source);
+        expect(typography.matchUnit('feet')).toBe('ft');
+        expect(typography.resolveUnit('ii')[1].unit.scale).toBe(72.27);
+        expect(Object.isFrozen(typography.table)).toBe(false);
+    });
+
+    test('should rebuild when fields are replaced', () => {
+        const matcher = typography.matcher();
+        typography.table = { ...typography.table, ft: { base: false, scale: 864, bias: 0, alias: null, minor: null, term: ['Foot', 'Feet'] } };
+        expect(typography.matchUnit('feet')).toBe('ft');
+        typography.regexString = typography.regexString.replace('(?<majorUnit>', '(?<majorUnit>ft|');
+        expect(typography.matcher()).not.toBe(matcher);
+        expect(ConversionTableOperations.convert('1ft', 'in', typography)).toEqual([null, { unit: 'in', value: 12 }]);
+    });
+
+    test('should give the same lookups as walking the table', () => {
+        expect(typography.matchUnit('PICAS')).toBe('p');
+        expect(typography.matchUnit('P')).toBeNull();
+        expect(typography.resolveUnit('ii')).toEqual([null, { key: 'in', unit: typography.table.in }]);
+        expect(typography.resolveUnit('nope')).toEqual(["Unit 'nope' not found in table 'typography'.", null]);
+        expect(ConversionTableOperations.parse('1p6', typography)[1].sub).toEqual({ unit: 'pt', value: 6, scale: 1, bias: 0 });
+    });
+});
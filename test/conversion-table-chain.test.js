@@ -0,0 +1,66 @@
+// conversion-table-chain.test.js
+const { ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+describe('ConversionTableOperations - convert() with a unit chain', () => {
+    let tables;
+
+    beforeEach(() => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.registerBuiltins();
+        conversionManager.register('loop', {
+            'a': { base: true, minor: 'b', term: 'A' },   // Minor units that loop back
+            'b': { scale: 0.5, minor: 'a', term: 'B' },
+        });
+        tables = conversionManager.tables;
+    });
+
+    test.each([
+        { table: 'length', input: '63in', unit: 'in', chain: ['ft', 'in'], expected: [['ft', 5], ['in', 3]] },
+        { table: 'length', input: '2m', unit: 'm', chain: ['yd', 'ft', 'in'], expected: [['yd', 2], ['ft', 0], ['in', 6.740157]] },
+        { table: 'time', input: '4815s', unit: 'h', chain: true, expected: [['h', 1], ['min', 20], ['s', 15]] },
+        { table: 'mass', input: '36oz', unit: 'lb', chain: true, expected: [['lb', 2], ['oz', 4]] },
+        { table: 'mass', input: '-36oz', unit: 'lb', chain: true, expected: [['lb', -2], ['oz', -4]] },
+        { table: 'time', input: '1h 20min 15s', unit: 'd', chain: ['h', 'min'], expected: [['h', 1], ['min', 20.25]] },
+    ])('should split $input over the chain', ({ table, input, unit, chain, expected }) => {
+        const [error, result] = ConversionTableOperations.convert(input, unit, tables[table], { chain });
+        expect(error).toBeNull();
+        expect(result.chain).toEqual(expected.map(([chainUnit, value]) => ({ unit: chainUnit, value })));
+    });
+
+    test('should keep the converted value next to the chain', () => {
+        const [error, result] = ConversionTableOperations.convert('63in', 'ft', tables.length, { chain: ['ft', 'in'] });
+        expect(error).toBeNull();
+        expect(result.unit).toBe('ft');
+        expect(result.value).toBeCloseTo(5.25, 10);
+    });
+
+    test.each([
+        { table: 'length', input: '5ft 11.99999999999in', chain: ['ft', 'in'], expected: [['ft', 6], ['in', 0]] },
+        { table: 'time', input: '1h 59min 59.9999999s', chain: ['h', 'min', 's'], expected: [['h', 2], ['min', 0], ['s', 0]] },
+        { table: 'length', input: '1.99in', chain: ['ft', 'in'], fraction: 4, expected: [['ft', 0], ['in', 2]] },
+        { table: 'length', input: '11.9in', chain: ['ft', 'in'], fraction: 4, expected: [['ft', 1], ['in', 0]] },
+    ])('should carry a remainder that rounds up to a full unit in $input', ({ table, input, chain, fraction, expected }) => {
+        const [error, result] = ConversionTableOperations.convert(input, chain[0], tables[table], { chain, fraction });
+        expect(error).toBeNull();
+        expect(result.chain).toEqual(expected.map(([unit, value]) => ({ unit, value })));
+    });
+
+    test('should return errors for invalid chains', () => {
+        const { length, loop } = tables;
+        expect(ConversionTableOperations.convert('1m', 'in', length, { chain: ['in', 'ft'] }))
+            .toEqual(["Units in a chain must be in descending order, but 'ft' follows 'in'.", null]);
+        expect(ConversionTableOperations.convert('1m', 'ft', length, { chain: ['ft', 'x'] }))
+            .toEqual(["Unit 'x' not found.", null]);
+        expect(ConversionTableOperations.convert('1m', 'ft', length, { chain: [] }))
+            .toEqual(['Invalid chain; use true or a non-empty array of unit keys.', null]);
+        expect(ConversionTableOperations.convert('1a', 'a', loop, { chain: true }))
+            .toEqual(["Units in a chain must be in descending order, but 'a' follows 'b'.", null]);
+    });
+
+    test('should give the same split as format()', () => {
+        const { time } = tables;
+        const [, result] = ConversionTableOperations.convert('1min 59.9999999s', 'min', time, { chain: true });
+        expect(result.chain).toEqual([{ unit: 'min', value: 2 }, { unit: 's', value: 0 }]);
+        expect(ConversionTableOperations.format(119.9999999, 'min', time)).toEqual([null, '2min']);
+    });
+});
@@ -0,0 +1,89 @@
+// conversion-table-composite.test.js
+const { ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+const angleTable = {
+    '°': { base: true, minor: '′', term: 'Degree(s)' },       // Degrees as the base unit
+    '′': { scale: 1 / 60, minor: '″', term: 'Minute(s)' },    // Minutes of arc
+    '″': { scale: 1 / 3600, term: 'Second(s)' },              // Seconds of arc
+};
+
+describe('ConversionTableOperations - composite input', () => {
+    let conversionManager;
+
+    beforeEach(() => {
+        conversionManager = new ConversionTableManager();
+        conversionManager.registerBuiltins();
+        conversionManager.register('angle', angleTable);
+    });
+
+    test('should nest every further component in sub', () => {
+        const [error, parsed] = ConversionTableOperations.parse('1h 20min 15s', conversionManager.tables.time);
+        expect(error).toBeNull();
+        expect(parsed).toEqual({
+            main: { unit: 'h', value: 1, scale: 3600, bias: 0 },
+            sub: {
+                unit: 'min', value: 20, scale: 60, bias: 0,
+                sub: { unit: 's', value: 15, scale: 1, bias: 0 },
+            },
+            base: 's',
+        });
+    });
+
+    test.each([
+        { input: '5ft 3in', table: 'length', unit: 'in', value: 63 },
+        { input: '5 feet 3 inches', table: 'length', unit: 'in', value: 63 },
+        { input: '1yd 2ft 6in', table: 'length', unit: 'in', value: 66 },
+        { input: '1mi 10ft', table: 'length', unit: 'ft', value: 5290 },
+        { input: '1h 20min 15s', table: 'time', unit: 's', value: 4815 },
+        { input: '1wk 2d 3h 4min 5s', table: 'time', unit: 's', value: 788645 },
+        { input: '2lb 4oz', table: 'mass', unit: 'oz', value: 36 },
+        { input: '-2lb 4oz', table: 'mass', unit: 'oz', value: -36 },
+        { input: '1st 2lb', table: 'mass', unit: 'lb', value: 16 },
+        { input: "48° 51′ 29.6″", table: 'angle', unit: '″', value: 175889.6 },
+        { input: '48 degrees 51 minutes', table: 'angle', unit: '′', value: 2931 },
+    ])('should convert $input to $value $unit', ({ input, table, unit, value }) => {
+        const [error, result] = ConversionTableOperations.convert(input, unit, conversionManager.tables[table]);
+        expect(error).toBeNull();
+        expect(result.value).toBeCloseTo(value, 6);
+    });
+
+    test('should keep the implicit minor unit for an unlabelled second value', () => {
+        const [error, parsed] = ConversionTableOperations.parse('48° 51 29.6″', conversionManager.tables.angle);
+        expect(error).toBeNull();
+        expect(parsed.sub.unit).toBe('′');
+        expect(parsed.sub.sub.unit).toBe('″');
+    });
+
+    test('should refuse components out of descending order', () => {
+        const { time, length } = conversionManager.tables;
+        expect(ConversionTableOperations.parse('1h 15s 20min', time))
+            .toEqual(["Units in '1h 15s 20min' must be in descending order, but 'min' follows 's'.", null]);
+        expect(ConversionTableOperations.parse('3in 5ft', length))
+            .toEqual(["Units in '3in 5ft' must be in descending order, but 'ft' follows 'in'.", null]);
+        expect(ConversionTableOperations.parse('1h 20min 5min', time))
+            .toEqual(["Units in '1h 20min 5min' must be in descending order, but 'min' follows 'min'.", null]);
+    });
+
+    test('should not accept a further component without its unit', () => {
+        expect(ConversionTableOperations.parse('1h 20min 15', conversionManager.tables.time))
+            .toEqual(['Invalid input format or no match found.', null]);
+    });
+
+    test.each([
+        { name: 'a long run of digits', input: `${'1'.repeat(4000)}x` },
+        { name: 'long spaced digits', input: `${'1 '.repeat(2000)}x` },
+        { name: 'many components', input: `${'1s '.repeat(2000)}x` },
+    ])('should reject $name in linear time', ({ input }) => {
+        const start = Date.now();
+        const [error, parsed] = ConversionTableOperations.parse(input, conversionManager.tables.time);
+        expect(Date.now() - start).toBeLessThan(1000);
+        expect(error).toBe('Invalid input format or no match found.');
+        expect(parsed).toBeNull();
+    });
+
+    test('should evaluate composite measurements', () => {
+        const [error, result] = ConversionTableOperations.evaluate('1h 20min 15s + 1min 45s', 'min', conversionManager.tables.time);
+        expect(error).toBeNull();
+        expect(result.value).toBeCloseTo(82, 10);
+    });
+});
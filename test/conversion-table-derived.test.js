@@ -0,0 +1,120 @@
+// conversion-table-derived.test.js
+const { ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+const lengthTable = {
+    'm': { base: true, term: 'Meter(s)' },       // Meters as the base unit
+    'km': { scale: 1000, term: 'Kilometer(s)' }, // Kilometers
+    'ft': { scale: 0.3048, term: 'Foot/Feet' },  // Feet
+    'in': { scale: 0.0254, term: 'Inch(es)' },   // Inches
+    'mi': { scale: 1609.344, term: 'Mile(s)' },  // Miles
+};
+
+const timeTable = {
+    's': { base: true, term: 'Second(s)' },      // Seconds as the base unit
+    'min': { scale: 60, term: 'Minute(s)' },     // Minutes
+    'h': { scale: 3600, term: 'Hour(s)' },       // Hours
+};
+
+const massTable = {
+    'kg': { base: true, term: 'Kilogram(s)' },   // Kilograms as the base unit
+    'g': { scale: 0.001, term: 'Gram(s)' },      // Grams
+};
+
+describe('ConversionTableManager - registerDerived() method', () => {
+    let conversionManager;
+
+    beforeEach(() => {
+        conversionManager = new ConversionTableManager();
+        conversionManager.register('length', lengthTable);
+        conversionManager.register('time', timeTable);
+        conversionManager.register('mass', massTable);
+    });
+
+    test('should derive speed from length and time', () => {
+        const [error, message] = conversionManager.registerDerived('speed', 'length/time');
+        expect(error).toBeNull();
+        expect(message).toBe("Table 'speed' registered successfully.");
+
+        const [, speedTable] = conversionManager.get('speed');
+        expect(speedTable.base).toBe('m/s');
+        expect(speedTable.derivedFrom).toBe('length/time');
+        expect(Object.keys(speedTable.table)).toHaveLength(15);
+        expect(speedTable.table['km/h'].term).toEqual(['Kilometer per Hour', 'Kilometers per Hour']);
+
+        const [convertError, result] = ConversionTableOperations.convert('60 mi/h', 'm/s', speedTable);
+        expect(convertError).toBeNull();
+        expect(result.value).toBeCloseTo(26.8224, 10);
+
+        const [kmhError, kmh] = ConversionTableOperations.convert('100 km/h', 'mi/h', speedTable);
+        expect(kmhError).toBeNull();
+        expect(kmh.value).toBeCloseTo(62.137119223733, 10);
+    });
+
+    test('should derive area from a squared table', () => {
+        const [error] = conversionManager.registerDerived('area', 'length^2');
+        expect(error).toBeNull();
+
+        const [, areaTable] = conversionManager.get('area');
+        expect(areaTable.base).toBe('m²');
+        expect(areaTable.table['ft²'].term).toEqual(['Square Foot', 'Square Feet']);
+
+        const [convertError, result] = ConversionTableOperations.convert('1 ft²', 'in²', areaTable);
+        expect(convertError).toBeNull();
+        expect(result.value).toBeCloseTo(144, 10);
+    });
+
+    test('should derive units with several factors and powers', () => {
+        const [error] = conversionManager.registerDerived('force', 'mass * length / time^2');
+        expect(error).toBeNull();
+
+        const [, forceTable] = conversionManager.get('force');
+        expect(forceTable.base).toBe('kg·m/s²');
+        expect(forceTable.table['g·km/h²'].term).toEqual(['Gram Kilometer per Hour Squared', 'Gram Kilometers per Hour Squared']);
+
+        const [convertError, result] = ConversionTableOperations.convert('1 kg·km/h²', 'kg·m/s²', forceTable);
+        expect(convertError).toBeNull();
+        expect(result.value).toBeCloseTo(1000 / 3600 / 3600, 12);
+    });
+
+    test('should derive reciprocal units', () => {
+        const [error] = conversionManager.registerDerived('frequency', 'time^-1');
+        expect(error).toBeNull();
+
+        const [, frequencyTable] = conversionManager.get('frequency');
+        expect(frequencyTable.base).toBe('s⁻¹');
+        expect(frequencyTable.table['min⁻¹'].term).toEqual(['Per Minute', 'Per Minute']);
+
+        const [convertError, result] = ConversionTableOperations.convert('120 min⁻¹', 's⁻¹', frequencyTable);
+        expect(convertError).toBeNull();
+        expect(result.value).toBeCloseTo(2, 12);
+    });
+
+    test('should return an error for an unregistered component table', () => {
+        const [error] = conversionManager.registerDerived('volume', 'area*length');
+        expect(error).toBe("Table 'area' not found.");
+    });
+
+    test('should return an error for an invalid definition', () => {
+        expect(conversionManager.registerDerived('speed', 'length//time')).toEqual(["Invalid definition 'length//time'.", null]);
+        expect(conversionManager.registerDerived('speed', '/time')).toEqual(["Invalid definition '/time'.", null]);
+        expect(conversionManager.registerDerived('speed', 'length/length')).toEqual(["Invalid definition 'length/length'.", null]);
+    });
+
+    test('should refuse component tables with a bias', () => {
+        conversionManager.register('temp', {
+            'C': { base: true, term: 'Celsius' },
+            'K': { bias: -273.15, term: 'Kelvin' },
+        });
+        const [error] = conversionManager.registerDerived('gradient', 'temp/length');
+        expect(error).toBe("Table 'temp' cannot be combined: unit 'K' has a bias.");
+    });
+
+    test('should not overwrite an existing table unless force=true', () => {
+        conversionManager.registerDerived('speed', 'length/time');
+        const [error] = conversionManager.registerDerived('speed', 'length/time');
+        expect(error).toBe("Table 'speed' is already registered. Use force=true to overwrite.");
+
+        const [forceError] = conversionManager.registerDerived('speed', 'length/time', true);
+        expect(forceError).toBeNull();
+    });
+});
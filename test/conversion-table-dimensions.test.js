@@ -0,0 +1,138 @@
+// conversion-table-dimensions.test.js
+const { ConversionTableManager, ConversionTable } = require('../conversion-table-manager');
+
+const lengthTable = {
+    'm': { base: true, term: 'Meter(s)' },       // Meters as the base unit
+    'cm': { scale: 0.01, term: 'Centimeter(s)' }, // Centimeters
+    'in': { scale: 0.0254, term: 'Inch(es)' },   // Inches
+};
+
+const typographyTable = {
+    'c': { scale: 12.789, minor: 'd', term: 'Cicero(s)' }, // Ciceros with Didots as the minor unit
+    'cm': { scale: 28.3465, term: 'Centimeter(s)' },        // Centimeters
+    'd': { scale: 1.06575, term: 'Didot(s)' },              // Didots
+    'in': { scale: 72.0, term: 'Inch(es)' },                // Inches
+    'pt': { base: true, term: 'Point(s)' },                 // Points as the base unit
+};
+
+const volumeTable = {
+    'ml': { base: true, term: 'Milliliter(s)' },      // Milliliters as the base unit
+    'c': { scale: 236.5882365, term: 'Cup(s)' },      // US cups
+    'pt': { scale: 473.176473, term: 'Pint(s)' },     // US pints
+};
+
+const massTable = {
+    'g': { base: true, term: 'Gram(s)' },        // Grams as the base unit
+    'kg': { scale: 1000, term: 'Kilogram(s)' },  // Kilograms
+};
+
+describe('ConversionTable - dimensions', () => {
+    test('should normalize dimensions into a canonical form', () => {
+        expect(ConversionTable.normalizeDimension('length')).toEqual([null, 'length']);
+        expect(ConversionTable.normalizeDimension('time^-1 * length')).toEqual([null, 'length/time']);
+        expect(ConversionTable.normalizeDimension('mass*length/time/time')).toEqual([null, 'length*mass/time^2']);
+        expect(ConversionTable.normalizeDimension('time^-1')).toEqual([null, 'time^-1']);
+        expect(ConversionTable.normalizeDimension(undefined)).toEqual([null, null]);
+        expect(ConversionTable.normalizeDimension('length++')).toEqual(["Invalid dimension 'length++'.", null]);
+    });
+
+    test('should store the dimension on the table', () => {
+        const [error, table] = ConversionTable.factory(lengthTable, 'length', { dimension: 'length' });
+        expect(error).toBeNull();
+        expect(table.dimension).toBe('length');
+
+        const [, plainTable] = ConversionTable.factory(lengthTable, 'length');
+        expect(plainTable.dimension).toBeNull();
+    });
+});
+
+describe('ConversionTableManager - convertAcross() method', () => {
+    let conversionManager;
+
+    beforeEach(() => {
+        conversionManager = new ConversionTableManager();
+        conversionManager.register('length', lengthTable, { dimension: 'length' });
+        conversionManager.register('typography', typographyTable, { dimension: 'length' });
+        conversionManager.register('volume', volumeTable, { dimension: 'volume' });
+        conversionManager.register('mass', massTable, { dimension: 'mass' });
+    });
+
+    test('should keep accepting a bare force flag in register()', () => {
+        const [error] = conversionManager.register('mass', massTable, true);
+        expect(error).toBeNull();
+        expect(conversionManager.tables.mass.dimension).toBeNull();
+    });
+
+    test('should find the table from the units', () => {
+        const [error, result] = conversionManager.convertAcross('2kg', 'g');
+        expect(error).toBeNull();
+        expect(result).toEqual({ unit: 'g', value: 2000, table: 'mass' });
+    });
+
+    test('should use the first table when several tables of the same dimension match', () => {
+        const [error, result] = conversionManager.convertAcross('10cm', 'in');
+        expect(error).toBeNull();
+        expect(result.table).toBe('length');
+        expect(result.value).toBe(3.937008); // Rounded to the table precision
+    });
+
+    test('should use the target unit to resolve a unit found in several tables', () => {
+        const [error, result] = conversionManager.convertAcross('1c', 'ml');
+        expect(error).toBeNull();
+        expect(result.table).toBe('volume');
+        expect(result.value).toBeCloseTo(236.5882365, 8);
+    });
+
+    test('should report an ambiguous unit across dimensions', () => {
+        const [error, result] = conversionManager.convertAcross('1c', 'pt');
+        expect(error).toBe("Ambiguous unit 'c': found in tables 'typography' (length), 'volume' (volume). Use the 'table' or 'dimension' option.");
+        expect(result).toBeNull();
+    });
+
+    test('should resolve an ambiguous unit with the table or dimension option', () => {
+        const [tableError, byTable] = conversionManager.convertAcross('1c', 'pt', { table: 'volume' });
+        expect(tableError).toBeNull();
+        expect(byTable).toEqual({ unit: 'pt', value: 0.5, table: 'volume' });
+
+        const [dimensionError, byDimension] = conversionManager.convertAcross('1c', 'pt', { dimension: 'length' });
+        expect(dimensionError).toBeNull();
+        expect(byDimension).toEqual({ unit: 'pt', value: 12.789, table: 'typography' });
+    });
+
+    test('should reject incompatible dimensions', () => {
+        const [error, result] = conversionManager.convertAcross('1kg', 'cm');
+        expect(error).toBe("Cannot convert mass ('kg') to length ('cm').");
+        expect(result).toBeNull();
+    });
+
+    test('should reject units of the same dimension in different tables', () => {
+        const [error] = conversionManager.convertAcross('1d', 'm');
+        expect(error).toBe("Units 'd' and 'm' are not in the same table.");
+    });
+
+    test('should take a bare number in the base unit of the target table', () => {
+        const [error, result] = conversionManager.convertAcross('1500', 'kg');
+        expect(error).toBeNull();
+        expect(result).toEqual({ unit: 'kg', value: 1.5, table: 'mass' });
+    });
+
+    test('should return errors for unknown units and invalid input', () => {
+        expect(conversionManager.convertAcross('1kg', 'lb')).toEqual(["Unit 'lb' not found in any registered table.", null]);
+        expect(conversionManager.convertAcross('hello', 'kg')).toEqual(['Invalid input format or no match found.', null]);
+        expect(conversionManager.convertAcross('1kg', 'g', { table: 'nope' })).toEqual(["Table 'nope' not found.", null]);
+    });
+
+    test('should combine the dimensions of derived tables', () => {
+        conversionManager.register('time', { 's': { base: true, term: 'Second(s)' } }, { dimension: 'time' });
+        conversionManager.registerDerived('speed', 'length/time');
+        conversionManager.registerDerived('area', 'length^2');
+
+        expect(conversionManager.tables.speed.dimension).toBe('length/time');
+        expect(conversionManager.tables.area.dimension).toBe('length^2');
+    });
+
+    test('should refuse an invalid dimension', () => {
+        const [error] = conversionManager.register('weird', massTable, { dimension: '*mass' });
+        expect(error).toBe("Invalid dimension '*mass'.");
+    });
+});
@@ -0,0 +1,95 @@
+// conversion-table-editing.test.js
+const { ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+const typographyTable = {
+    'pt': { base: true, term: 'Point(s)', aliases: ['pts'] },  // Points as the base unit
+    'p': { scale: 12, minor: 'pt', term: 'Pica(s)' },          // Picas with Points as the minor unit
+    'in': { scale: 72, term: 'Inch(es)' },                     // Inches
+    'i': { alias: 'in' },                                      // Alias for inches
+    'cm': { scale: '72/2.54', term: 'Centimeter(s)' },         // Centimeters, with an exact scale
+};
+
+describe('ConversionTableManager - editing registered tables', () => {
+    let conversionManager;
+    let typography;
+
+    beforeEach(() => {
+        conversionManager = new ConversionTableManager();
+        conversionManager.register('typography', typographyTable);
+        typography = conversionManager.tables.typography;
+    });
+
+    test('should add units and aliases and rebuild the regex', () => {
+        expect(conversionManager.addUnit('typography', 'ft', { scale: 864, term: 'Foot/Feet', aliases: ['′'] }))
+            .toEqual([null, "Unit 'ft' added to table 'typography'."]);
+        expect(conversionManager.addUnit('typography', 'inch', { alias: 'in' }))
+            .toEqual([null, "Unit 'inch' added to table 'typography'."]);
+
+        expect(typography.table.ft).toMatchObject({ scale: 864, term: ['Foot', 'Feet'] });
+        expect(typography.regexString).toContain('ft');
+        expect(ConversionTableOperations.convert('1ft 6in', 'in', typography)).toEqual([null, { unit: 'in', value: 18 }]);
+        expect(ConversionTableOperations.convert('2 feet', 'p', typography)).toEqual([null, { unit: 'p', value: 144 }]);
+        expect(ConversionTableOperations.convert('3′', 'inch', typography)).toEqual([null, { unit: 'inch', value: 36 }]);
+    });
+
+    test('should update units and keep what is not changed', () => {
+        expect(conversionManager.updateUnit('typography', 'cm', { term: 'Centimetre(s)' }))
+            .toEqual([null, "Unit 'cm' updated in table 'typography'."]);
+        expect(typography.table.cm).toMatchObject({ term: ['Centimetre', 'Centimetres'], exact: { scale: '72/2.54' } });
+        expect(ConversionTableOperations.convert('1 centimetre', 'pt', typography)[1].value).toBeCloseTo(28.3464567, 6);
+
+        expect(conversionManager.updateUnit('typography', 'p', { minor: null })).toEqual([null, "Unit 'p' updated in table 'typography'."]);
+        expect(ConversionTableOperations.parse('1p6', typography)[1].sub).toEqual({ unit: null, value: 6, scale: 1, bias: 0 });
+
+        expect(conversionManager.updateUnit('typography', 'i', { alias: null, scale: 72.27, term: 'Printer Inch(es)' }))
+            .toEqual([null, "Unit 'i' updated in table 'typography'."]);
+        expect(ConversionTableOperations.convert('1i', 'pt', typography)).toEqual([null, { unit: 'pt', value: 72.27 }]);
+        expect(typography.precision).toBe(15);
+    });
+
+    test('should remove units and aliases', () => {
+        expect(conversionManager.removeUnit('typography', 'i')).toEqual([null, "Unit 'i' removed from table 'typography'."]);
+        expect(conversionManager.removeUnit('typography', 'in')).toEqual([null, "Unit 'in' removed from table 'typography'."]);
+        expect(Object.keys(typography.table)).toEqual(['pt', 'pts', 'p', 'cm']);
+        expect(ConversionTableOperations.parse('1in', typography)).toEqual(['Invalid input format or no match found.', null]);
+        expect(typography.matchUnit('inches')).toBeNull();
+    });
+
+    test('should refuse edits that orphan the base or break references', () => {
+        const { table, regexString } = typography;
+        const refusals = [
+            [conversionManager.removeUnit('typography', 'pt'), "Cannot remove the base unit 'pt' of table 'typography'."],
+            [conversionManager.removeUnit('typography', 'in'), "Cannot remove unit 'in' from table 'typography': Alias 'i' refers to unknown unit 'in'."],
+            [conversionManager.updateUnit('typography', 'pt', { base: false }), "Unit 'pt' is the base unit of table 'typography' and must stay a base unit."],
+            [conversionManager.updateUnit('typography', 'in', { base: true }), "Cannot make 'in' the base unit; table 'typography' already has base unit 'pt'."],
+            [conversionManager.updateUnit('typography', 'p', { minor: 'pc' }), "Cannot update unit 'p' in table 'typography': Minor unit 'pc' of 'p' does not exist."],
+            [conversionManager.updateUnit('typography', 'i', { alias: 'i' }), "Cannot update unit 'i' in table 'typography': Alias 'i' resolves in a cycle: i → i."],
+            [conversionManager.addUnit('typography', 'x', { alias: 'y' }), "Cannot add unit 'x' to table 'typography': Alias 'x' refers to unknown unit 'y'."],
+            [conversionManager.addUnit('typography', 'x', { scale: -1, term: 'X' }), "Cannot add unit 'x' to table 'typography': Unit 'x' has an invalid scale '-1'; it must be a positive number."],
+            [conversionManager.addUnit('typography', 'x', { base: true, term: 'X' }), "Cannot add 'x' as a base unit; table 'typography' already has base unit 'pt'."],
+            [conversionManager.addUnit('typography', 'in', { scale: 1 }), "Unit 'in' already exists in table 'typography'."],
+            [conversionManager.updateUnit('typography', 'x', { scale: 1 }), "Unit 'x' not found in table 'typography'."],
+            [conversionManager.removeUnit('nope', 'in'), "Table 'nope' not found."],
+        ];
+        for (const [result, expected] of refusals) {
+            expect(result).toEqual([expected, null]);
+        }
+        expect(typography.table).toBe(table);
+        expect(typography.regexString).toBe(regexString);
+        expect(typography.base).toBe('pt');
+    });
+
+    test('should keep the table options and export the edited table', () => {
+        const otherManager = new ConversionTableManager({ numberFormat: { decimal: ',', thousands: '.' } });
+        otherManager.register('typography', typographyTable, { caseSensitive: false, dimension: 'length' });
+        otherManager.addUnit('typography', 'ft', { scale: 864, term: 'Foot/Feet' });
+
+        const edited = otherManager.tables.typography;
+        expect(edited.matching.caseSensitive).toBe(false);
+        expect(edited.dimension).toBe('length');
+        expect(ConversionTableOperations.convert('1,5FT', 'in', edited)).toEqual([null, { unit: 'in', value: 18 }]);
+
+        const [, text] = otherManager.exportTable('typography');
+        expect(JSON.parse(text).tables.typography.units.ft).toMatchObject({ scale: 864, term: ['Foot', 'Feet'] });
+    });
+});
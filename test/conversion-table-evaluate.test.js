@@ -0,0 +1,84 @@
+// conversion-table-evaluate.test.js
+const { ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+// Test data: Valid expressions
+const validCases = [
+    { expression: '1in + 6pt', targetUnit: 'pt', expected: 78 },
+    { expression: '1in + 6pt - 2mm', targetUnit: 'pt', expected: 78 - 2 * 2.834645669291 },
+    { expression: '1p6 + 1p6', targetUnit: 'p', expected: 3 },
+    { expression: '2 * 3in', targetUnit: 'in', expected: 6 },
+    { expression: '3in * 2', targetUnit: 'in', expected: 6 },
+    { expression: '1in / 4', targetUnit: 'pt', expected: 18 },
+    { expression: '(1in + 1in) / 2', targetUnit: 'in', expected: 1 },
+    { expression: '2 * (1in - 36pt)', targetUnit: 'in', expected: 1 },
+    { expression: '-1in + 2in', targetUnit: 'in', expected: 1 },
+    { expression: '1in - -1in', targetUnit: 'in', expected: 2 },
+    { expression: '1in / 1pt * 1pt', targetUnit: 'pt', expected: 72 },
+    { expression: '1in + 6', targetUnit: 'pt', expected: 78 },
+    { expression: '12', targetUnit: 'p', expected: 1 },
+    { expression: '1 1/2in + 3/8 in', targetUnit: 'in', expected: 1.875 },
+    { expression: '2 × 1in ÷ 4', targetUnit: 'in', expected: 0.5 },
+    { expression: '1c4 − 4d', targetUnit: 'c', expected: 1 },
+];
+
+// Test data: Invalid expressions with positioned errors
+const invalidCases = [
+    { expression: '', expectedError: 'Unexpected end of expression at position 0.' },
+    { expression: '1in +', expectedError: 'Unexpected end of expression at position 5.' },
+    { expression: '1in * 2in', expectedError: 'Cannot multiply two measurements at position 4.' },
+    { expression: '2 / 1in', expectedError: 'Cannot divide a number by a measurement at position 2.' },
+    { expression: '1in / (1pt - 1pt)', expectedError: 'Division by zero at position 4.' },
+    { expression: '(1in + 2pt', expectedError: "Expected ')' at position 10." },
+    { expression: '1in + 2pt)', expectedError: "Unexpected ')' at position 9." },
+    { expression: '1in + x', expectedError: "Unexpected 'x' at position 6." },
+    { expression: '1km + 1in', expectedError: "Unexpected 'k' at position 1." },
+    { expression: '1in 2', expectedError: "Unit 'in' has no minor unit at position 0." },
+    { expression: '1 + 2 3', expectedError: 'Missing operator between numbers at position 4.' },
+];
+
+describe('ConversionTableOperations - evaluate() method', () => {
+    let typographyTable;
+
+    beforeAll(() => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.register('typography', {
+            'c': { scale: 12.789065750000, minor: 'd', term: 'Cicero(s)' }, // Ciceros with Didots as the minor unit
+            'mm': { scale: 2.834645669291, term: 'Millimeter(s)' },        // Millimeters
+            'd': { scale: 1.065543307019, term: 'Didot(s)' },              // Didots
+            'in': { scale: 72.0, term: 'Inch(es)' },                // Inches
+            'p': { scale: 12.0, minor: 'pt', term: 'Pica(s)' },     // Picas with Points as the minor unit
+            'pt': { base: true, term: 'Point(s)' },                 // Points as the base unit
+        });
+        [, typographyTable] = conversionManager.get('typography');
+    });
+
+    test.each(validCases)(
+        'should evaluate $expression in $targetUnit',
+        ({ expression, targetUnit, expected }) => {
+            const [error, result] = ConversionTableOperations.evaluate(expression, targetUnit, typographyTable);
+            expect(error).toBeNull();
+            expect(result.unit).toBe(targetUnit);
+            expect(result.value).toBeCloseTo(expected, 8);
+        }
+    );
+
+    test.each(invalidCases)(
+        'should return a positioned error for $expression',
+        ({ expression, expectedError }) => {
+            const [error, result] = ConversionTableOperations.evaluate(expression, 'pt', typographyTable);
+            expect(error).toBe(expectedError);
+            expect(result).toBeNull();
+        }
+    );
+
+    test('should return an error for an unknown target unit', () => {
+        expect(ConversionTableOperations.evaluate('1in', 'km', typographyTable)).toEqual(["Unit 'km' not found.", null]);
+    });
+
+    test('should honour the number format option', () => {
+        const options = { numberFormat: { decimal: ',', thousands: '.' } };
+        const [error, result] = ConversionTableOperations.evaluate('0,5in + 1,5in', 'in', typographyTable, options);
+        expect(error).toBeNull();
+        expect(result.value).toBe(2);
+    });
+});
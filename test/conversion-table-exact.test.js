@@ -0,0 +1,157 @@
+// conversion-table-exact.test.js
+const { ConversionTableManager, ConversionTable, ConversionTableOperations, Rational } = require('../conversion-table-manager');
+
+const typographyTable = {
+    'pt': { base: true, term: 'Point(s)' },                       // Points as the base unit
+    'p': { scale: 12, minor: 'pt', term: 'Pica(s)' },              // Picas with Points as the minor unit
+    'in': { scale: 72, term: 'Inch(es)' },                         // Inches
+    'cm': { scale: '72/2.54', term: 'Centimeter(s)' },             // Centimeters, exactly 72/2.54 points
+    'm': { scale: '7200/2.54', term: 'Meter(s)', prefixes: ['m'] }, // Meters, with exact millimeters
+};
+
+const temperatureTable = {
+    'C': { base: true, term: 'Celsius' },                          // Celsius as the base unit
+    'F': { scale: '5/9', bias: '-160/9', term: 'Fahrenheit' },     // Exactly 5/9 °C per °F
+    'K': { bias: '-273.15', term: 'Kelvin' },
+};
+
+describe('Rational', () => {
+    test.each([
+        { text: '72/2.54', expected: '3600/127' },
+        { text: '0.0254', expected: '127/5000' },
+        { text: '-160/9', expected: '-160/9' },
+        { text: ' 1e-3 ', expected: '1/1000' },
+        { text: '.5', expected: '1/2' },
+        { text: '12', expected: '12' },
+        { text: '6/-4', expected: '-3/2' },
+    ])('should read $text', ({ text, expected }) => {
+        expect(Rational.parse(text).toString()).toBe(expected);
+    });
+
+    test.each(['', 'twelve', '1/0', '1//2', '1e9999', 12])('should refuse %p', (text) => {
+        expect(Rational.parse(text)).toBeNull();
+    });
+
+    test('should compute without floating-point drift', () => {
+        const third = Rational.parse('1/3');
+        expect(third.add(third).add(third).toString()).toBe('1');
+        expect(Rational.fromNumber(0.1).add(Rational.fromNumber(0.2)).toString()).toBe('3/10');
+        expect(Rational.parse('2.54').divide(Rational.parse('72')).multiply(Rational.parse('72')).toString()).toBe('127/50');
+        expect(Rational.parse('1/3').subtract(Rational.parse('1/2')).toString()).toBe('-1/6');
+    });
+
+    test('should write decimals and numbers', () => {
+        expect(Rational.parse('-160/9').toDecimal(4)).toBe('-17.7778');
+        expect(Rational.parse('2.50').toDecimal(6)).toBe('2.5');
+        expect(Rational.parse('5/2').toDecimal(0, 'half-even')).toBe('2');
+        expect(Rational.parse('-1/3').toDecimal(2, 'floor')).toBe('-0.34');
+        expect(Rational.parse('-1/1000').toDecimal(2)).toBe('0');
+        expect(Rational.parse('72/2.54').toNumber()).toBe(72 / 2.54);
+        expect(Rational.parse('1/3').toNumber()).toBe(1 / 3);
+        expect(Rational.parse('1e300/3').toNumber()).toBeCloseTo(1e300 / 3, -285);
+    });
+});
+
+describe('ConversionTableOperations - exact conversions', () => {
+    let conversionManager;
+    let typography;
+    let temperature;
+
+    beforeEach(() => {
+        conversionManager = new ConversionTableManager();
+        conversionManager.register('typography', typographyTable);
+        conversionManager.register('temperature', temperatureTable);
+        ({ typography, temperature } = conversionManager.tables);
+    });
+
+    test('should keep exact scales and biases next to their numbers', () => {
+        expect(typography.table.cm).toMatchObject({ scale: 72 / 2.54, exact: { scale: '72/2.54' } });
+        expect(typography.table.mm).toMatchObject({ exact: { scale: '360/127' } });
+        expect(temperature.table.K).toMatchObject({ bias: -273.15, exact: { bias: '-273.15' } });
+        expect(typography.table.in.exact).toBeUndefined();
+    });
+
+    test('should round-trip 1in to cm and back', () => {
+        const [error, centimeters] = ConversionTableOperations.convert('1in', 'cm', typography, { exact: true });
+        expect(error).toBeNull();
+        expect(centimeters).toEqual({ unit: 'cm', value: '2.54' });
+        expect(ConversionTableOperations.convert(`${centimeters.value}cm`, 'in', typography, { exact: true }))
+            .toEqual([null, { unit: 'in', value: '1' }]);
+    });
+
+    test.each([
+        { input: '1pt', unit: 'cm', exact: 'rational', expected: { numerator: '127', denominator: '3600' } },
+        { input: '1pt', unit: 'cm', exact: 'decimal', expected: '0.035277777777778' },
+        { input: '1/3in', unit: 'pt', exact: 'rational', expected: { numerator: '24', denominator: '1' } },
+        { input: '1p6', unit: 'in', exact: true, expected: '0.25' },
+        { input: '-1p6', unit: 'in', exact: true, expected: '-0.25' },
+        { input: '2.54cm 1mm', unit: 'in', exact: 'rational', expected: { numerator: '132', denominator: '127' } },
+    ])('should convert $input to $unit exactly ($exact)', ({ input, unit, exact, expected }) => {
+        expect(ConversionTableOperations.convert(input, unit, typography, { exact })).toEqual([null, { unit, value: expected }]);
+    });
+
+    test('should apply exact biases', () => {
+        expect(ConversionTableOperations.convert('212F', 'C', temperature, { exact: true })).toEqual([null, { unit: 'C', value: '100' }]);
+        expect(ConversionTableOperations.convert('98.6F', 'K', temperature, { exact: true })).toEqual([null, { unit: 'K', value: '310.15' }]);
+        expect(ConversionTableOperations.convert('0K', 'F', temperature, { exact: 'rational' }))
+            .toEqual([null, { unit: 'F', value: { numerator: '-45967', denominator: '100' } }]);
+    });
+
+    test('should round exact decimals with the precision and rounding options', () => {
+        expect(ConversionTableOperations.convert('1pt', 'cm', typography, { exact: true, precision: 3, rounding: 'ceil' }))
+            .toEqual([null, { unit: 'cm', value: '0.036' }]);
+        expect(ConversionTableOperations.convert('1pt', 'cm', typography, { exact: true, fraction: 16 }))
+            .toEqual([null, { unit: 'cm', value: '0.035277777777778', fraction: '1/16' }]);
+    });
+
+    test('should use exact values in parse()', () => {
+        const [error, parsed] = ConversionTableOperations.parse('1.1cm', typography, { exact: true });
+        expect(error).toBeNull();
+        expect(parsed.main.value).toEqual(Rational.parse('11/10'));
+        expect(parsed.main.scale).toEqual(Rational.parse('3600/127'));
+        expect(parsed.main.bias).toEqual(Rational.parse('0'));
+    });
+
+    test('should read scales given as numbers as the shortest decimal of their number', () => {
+        conversionManager.register('floats', { 'pt': { base: true, term: 'Point(s)' }, 'cm': { scale: 72 / 2.54, term: 'Centimeter(s)' } });
+        expect(ConversionTableOperations.parse('1cm', conversionManager.tables.floats, { exact: true })[1].main.scale)
+            .toEqual(Rational.parse('28.346456692913385'));
+        expect(ConversionTableOperations.convert('72pt', 'cm', conversionManager.tables.floats, { exact: 'rational' }))
+            .toEqual([null, { unit: 'cm', value: { numerator: '4800000000000000', denominator: '1889763779527559' } }]);
+    });
+
+    test('should convert the built-in tables exactly', () => {
+        conversionManager.registerBuiltins({ force: true });
+        const { typography: builtinTypography, temperature: builtinTemperature } = conversionManager.tables;
+        expect(ConversionTableOperations.convert('1cm', 'pt', builtinTypography, { exact: 'rational' }))
+            .toEqual([null, { unit: 'pt', value: { numerator: '3600', denominator: '127' } }]);
+        expect(ConversionTableOperations.convert('1c', 'd', builtinTypography, { exact: true })).toEqual([null, { unit: 'd', value: '12' }]);
+        expect(ConversionTableOperations.convert('1F', 'C', builtinTemperature, { exact: 'rational' }))
+            .toEqual([null, { unit: 'C', value: { numerator: '-155', denominator: '9' } }]);
+        expect(ConversionTableOperations.convert('0R', 'F', builtinTemperature, { exact: true })).toEqual([null, { unit: 'F', value: '-459.67' }]);
+    });
+
+    test('should return errors for invalid exact conversions', () => {
+        expect(ConversionTableOperations.convert('1in', 'cm', typography, { exact: 'float' }))
+            .toEqual(["Invalid exact mode 'float'. Use 'decimal' or 'rational'.", null]);
+        expect(ConversionTableOperations.convert('1in', 'cm', typography, { exact: true, chain: true }))
+            .toEqual(["The 'exact' option cannot be combined with 'chain'.", null]);
+        expect(ConversionTableOperations.convert('1/0in', 'cm', typography, { exact: true }))
+            .toEqual(["Invalid number in input '1/0in'.", null]);
+        expect(ConversionTableOperations.convert('1in', 'x', typography, { exact: true }))
+            .toEqual(["Unit 'x' not found.", null]);
+    });
+
+    test('should validate exact strings and export them unchanged', () => {
+        expect(ConversionTable.validate(temperatureTable)).toEqual([]);
+
+        for (const format of ['json', 'yaml']) {
+            const [, text] = conversionManager.exportTable('temperature', { format });
+            const importingManager = new ConversionTableManager();
+            expect(importingManager.importTables(text)[0]).toBeNull();
+            expect(importingManager.tables.temperature).toEqual(temperature);
+        }
+        expect(JSON.parse(conversionManager.exportTable('temperature')[1]).tables.temperature.units.F)
+            .toMatchObject({ scale: '5/9', bias: '-160/9' });
+    });
+});
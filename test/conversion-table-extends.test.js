@@ -0,0 +1,126 @@
+// conversion-table-extends.test.js
+const { ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+const typographyTable = {
+    'pt': { base: true, term: 'Point(s)' },                    // Points as the base unit
+    'p': { scale: 12, minor: 'pt', term: 'Pica(s)' },          // Picas with Points as the minor unit
+    'in': { scale: 72, term: 'Inch(es)', aliases: ['i'] },     // Inches
+    'c': { scale: 12.789, minor: 'd', term: 'Cicero(s)' },     // Ciceros with Didots as the minor unit
+    'd': { scale: 1.06575, term: 'Didot(s)' },                 // Didots
+};
+
+const europeanUnits = {
+    'mm': { scale: '72/25.4', term: 'Millimeter(s)' },         // Added: millimeters
+    'Q': { scale: '72/101.6', term: 'Q' },                     // Added: quarter millimeters
+    'p': { scale: 12, minor: 'pt', term: 'Euro Pica(s)' },     // Overridden term
+    'i': null,                                                 // Left out
+};
+
+describe('ConversionTableManager - register() with extends', () => {
+    let conversionManager;
+
+    beforeEach(() => {
+        conversionManager = new ConversionTableManager();
+        conversionManager.register('typography', typographyTable, { dimension: 'length', caseSensitive: false });
+        conversionManager.register('typography-eu', europeanUnits, { extends: 'typography' });
+    });
+
+    test('should inherit, add, override and leave out units', () => {
+        const european = conversionManager.tables['typography-eu'];
+        expect(Object.keys(european.table)).toEqual(['pt', 'p', 'in', 'c', 'd', 'mm', 'Q']);
+        expect(european.base).toBe('pt');
+        expect(european.extends).toEqual(['typography']);
+        expect(european.table.p.term).toEqual(['Euro Pica', 'Euro Picas']);
+        expect(european.table.mm.exact).toEqual({ scale: '72/25.4' });
+
+        expect(ConversionTableOperations.convert('1in', 'mm', european)).toEqual([null, { unit: 'mm', value: 25.4 }]);
+        expect(ConversionTableOperations.convert('1c6', 'pt', european)[1].value).toBeCloseTo(19.1835, 6);
+        expect(ConversionTableOperations.parse('1i', european)).toEqual(['Invalid input format or no match found.', null]);
+        expect(conversionManager.tables.typography.table.mm).toBeUndefined();
+    });
+
+    test('should inherit the dimension and matching options unless given', () => {
+        const european = conversionManager.tables['typography-eu'];
+        expect(european.dimension).toBe('length');
+        expect(european.matching.caseSensitive).toBe(false);
+        expect(ConversionTableOperations.convert('1IN', 'pt', european)).toEqual([null, { unit: 'pt', value: 72 }]);
+
+        conversionManager.register('strict-eu', {}, { extends: 'typography', caseSensitive: true });
+        expect(ConversionTableOperations.parse('1IN', conversionManager.tables['strict-eu'])[0]).not.toBeNull();
+    });
+
+    test('should merge several tables sharing a base unit', () => {
+        conversionManager.register('screen', { 'pt': { base: true, term: 'Point(s)' }, 'px': { scale: 0.75, term: 'Pixel(s)' } });
+        expect(conversionManager.register('all', {}, { extends: ['typography-eu', 'screen'] }))
+            .toEqual([null, "Table 'all' registered successfully."]);
+        expect(Object.keys(conversionManager.tables.all.table)).toEqual(['pt', 'p', 'in', 'c', 'd', 'mm', 'Q', 'px']);
+        expect(ConversionTableOperations.convert('1mm', 'px', conversionManager.tables.all)[1].value).toBeCloseTo(3.7795276, 6);
+    });
+
+    test('should rebuild extending tables when a parent is registered again or edited', () => {
+        conversionManager.register('typography', { ...typographyTable, 'in': { scale: 72.27, term: 'Inch(es)' } }, true);
+        const european = conversionManager.tables['typography-eu'];
+        expect(Object.keys(european.table)).toEqual(['pt', 'p', 'in', 'c', 'd', 'mm', 'Q']);
+        expect(ConversionTableOperations.convert('1in', 'pt', european)).toEqual([null, { unit: 'pt', value: 72.27 }]);
+
+        conversionManager.addUnit('typography', 'ft', { scale: 864, term: 'Foot/Feet' });
+        expect(conversionManager.tables['typography-eu'].table.ft).toMatchObject({ scale: 864 });
+    });
+
+    test('should keep edits of an extending table when it is rebuilt', () => {
+        conversionManager.removeUnit('typography-eu', 'c');
+        conversionManager.updateUnit('typography-eu', 'd', { term: 'Point Didot(s)' });
+        conversionManager.addUnit('typography-eu', 'cm', { scale: '72/2.54', term: 'Centimeter(s)' });
+
+        conversionManager.register('typography', typographyTable, true);
+        const european = conversionManager.tables['typography-eu'];
+        expect(Object.keys(european.table)).toEqual(['pt', 'p', 'in', 'd', 'mm', 'Q', 'cm']);
+        expect(european.table.d.term).toEqual(['Point Didot', 'Point Didots']);
+    });
+
+    test('should refuse invalid extensions and changes that break extending tables', () => {
+        conversionManager.register('length', { 'm': { base: true, term: 'Meter(s)' } });
+        conversionManager.register('typography-eu-x', { 'x': { alias: 'mm' }, 'y': { alias: 'in' } }, { extends: 'typography-eu' });
+
+        expect(conversionManager.register('bad', {}, { extends: ['typography', 'length'] }))
+            .toEqual(["Tables 'typography' and 'length' cannot be merged: their base units 'pt' and 'm' differ.", null]);
+        expect(conversionManager.register('bad', {}, { extends: 'nope' })).toEqual(["Table 'nope' not found.", null]);
+        expect(conversionManager.register('bad', {}, { extends: [] }))
+            .toEqual(['Invalid extends option; use a table name or a non-empty array of table names.', null]);
+        expect(conversionManager.register('typography', typographyTable, { force: true, extends: 'typography-eu-x' }))
+            .toEqual(["Table 'typography' cannot extend 'typography-eu-x', which extends 'typography'.", null]);
+        expect(conversionManager.tables.bad).toBeUndefined();
+
+        const { typography } = conversionManager.tables;
+        expect(conversionManager.removeUnit('typography-eu', 'mm'))
+            .toEqual(["Table 'typography-eu-x', which extends 'typography-eu', cannot be rebuilt: Alias 'x' refers to unknown unit 'mm'.", null]);
+        expect(conversionManager.tables['typography-eu'].table.mm).toBeDefined();
+
+        expect(conversionManager.register('typography', { 'pt': { base: true, term: 'Point(s)' } }, true)).toEqual([
+            "Table 'typography-eu', which extends 'typography', cannot be rebuilt: " +
+            "Table 'typography-eu-x', which extends 'typography-eu', cannot be rebuilt: Alias 'y' refers to unknown unit 'in'.",
+            null,
+        ]);
+        expect(conversionManager.tables.typography).toBe(typography);
+    });
+
+    test('should stop rebuilding a table registered again without extends', () => {
+        conversionManager.register('typography-eu', europeanUnits, { force: true, extends: 'typography' });
+        conversionManager.register('typography-eu', { 'pt': { base: true, term: 'Point(s)' } }, true);
+        conversionManager.register('typography', typographyTable, true);
+        expect(Object.keys(conversionManager.tables['typography-eu'].table)).toEqual(['pt']);
+        expect(conversionManager.tables['typography-eu'].extends).toBeUndefined();
+    });
+
+    test('should keep rebuilding an extending table after a failed import overwrote it', () => {
+        const [, json] = conversionManager.exportTable('typography-eu');
+        const document = JSON.parse(json);
+        document.tables.bad = { base: 'a', units: { 'a': { scale: 1 }, 'b': { alias: 'c' }, 'c': { alias: 'b' } } };
+        expect(conversionManager.importTables(document, true)).toEqual(["Alias 'b' resolves in a cycle: b → c → b.", null]);
+        expect(conversionManager.tables.bad).toBeUndefined();
+        expect(conversionManager.tables['typography-eu'].extends).toEqual(['typography']);
+
+        conversionManager.addUnit('typography', 'ft', { scale: 864, term: 'Foot/Feet' });
+        expect(conversionManager.tables['typography-eu'].table.ft).toMatchObject({ scale: 864 });
+    });
+});
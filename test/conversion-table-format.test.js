@@ -0,0 +1,97 @@
+// conversion-table-format.test.js
+const { ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+// Test data: inputs that must round-trip through convert() (to the base unit) and format()
+const roundTripCases = [
+    { input: '10p2', unit: 'p', expected: '10p2' },
+    { input: '1c4', unit: 'c', expected: '1c4' },
+    { input: '1p6', unit: 'p', expected: '1p6' },
+    { input: '2p', unit: 'p', expected: '2p' },
+    { input: '0p6', unit: 'p', expected: '0p6' },
+    { input: '2in', unit: 'in', expected: '2in' },
+    { input: '3.5cm', unit: 'cm', expected: '3.5cm' },
+];
+
+describe('ConversionTableOperations - format() method', () => {
+    let typographyTable;
+
+    beforeAll(() => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.register('typography', {
+            'c': { scale: 12.789065750000, minor: 'd', term: 'Cicero(s)' }, // Ciceros with Didots as the minor unit
+            'cm': { scale: 28.346456692914, term: 'Centimeter(s)' },        // Centimeters
+            'd': { scale: 1.065543307019, term: 'Didot(s)' },              // Didots
+            'i': { alias: 'in' },                                   // Alias for inches
+            'in': { scale: 72.0, term: 'Inch(es)' },                // Inches
+            'p': { scale: 12.0, minor: 'pt', term: 'Pica(s)' },     // Picas with Points as the minor unit
+            'pt': { base: true, term: 'Point(s)' },                 // Points as the base unit
+        });
+        [, typographyTable] = conversionManager.get('typography');
+    });
+
+    test.each(roundTripCases)(
+        'should round-trip $input through the base unit',
+        ({ input, unit, expected }) => {
+            const [convertError, converted] = ConversionTableOperations.convert(input, 'pt', typographyTable);
+            expect(convertError).toBeNull();
+
+            const [error, formatted] = ConversionTableOperations.format(converted.value, unit, typographyTable);
+            expect(error).toBeNull();
+            expect(formatted).toBe(expected);
+        }
+    );
+
+    test('should emit long-form names using the unit terms', () => {
+        expect(ConversionTableOperations.format(122, 'p', typographyTable, { long: true })).toEqual([null, '10 Picas 2 Points']);
+        expect(ConversionTableOperations.format(13, 'p', typographyTable, { long: true })).toEqual([null, '1 Pica 1 Point']);
+        expect(ConversionTableOperations.format(24, 'p', typographyTable, { long: true })).toEqual([null, '2 Picas']);
+        expect(ConversionTableOperations.format(72, 'in', typographyTable, { long: true })).toEqual([null, '1 Inch']);
+    });
+
+    test('should not split into minor units when minor is false', () => {
+        expect(ConversionTableOperations.format(18, 'p', typographyTable, { minor: false })).toEqual([null, '1.5p']);
+    });
+
+    test('should round using the given precision', () => {
+        expect(ConversionTableOperations.format(100, 'cm', typographyTable, { precision: 2 })).toEqual([null, '3.53cm']);
+    });
+
+    test('should carry a remainder that rounds up to a full major unit', () => {
+        expect(ConversionTableOperations.format(23.9999999999999, 'p', typographyTable)).toEqual([null, '2p']);
+    });
+
+    test('should format negative values', () => {
+        expect(ConversionTableOperations.format(-122, 'p', typographyTable)).toEqual([null, '-10p2']);
+    });
+
+    test('should resolve aliases to the actual unit', () => {
+        expect(ConversionTableOperations.format(144, 'i', typographyTable)).toEqual([null, '2in']);
+    });
+
+    test('should return an error for an unknown unit', () => {
+        expect(ConversionTableOperations.format(10, 'km', typographyTable)).toEqual(["Unit 'km' not found.", null]);
+    });
+
+    test('should return an error for a non-numeric value', () => {
+        expect(ConversionTableOperations.format('10', 'p', typographyTable)).toEqual(["Invalid value '10'.", null]);
+    });
+
+    test.each([
+        { value: 122, expected: '10p2' },
+        { value: 100, expected: '8p4' },
+        { value: 12.5, expected: '1p0.5' },
+        { value: 1439, expected: '119p11' },
+    ])('should format $value points as $expected with the built-in typography table', ({ value, expected }) => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.registerBuiltin('typography');
+        expect(ConversionTableOperations.format(value, 'p', conversionManager.tables.typography)).toEqual([null, expected]);
+    });
+
+    test('should chain the built-in typography units without floating-point noise', () => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.registerBuiltin('typography');
+        const [error, result] = ConversionTableOperations.convert('122pt', 'p', conversionManager.tables.typography, { chain: true });
+        expect(error).toBeNull();
+        expect(result.chain).toEqual([{ unit: 'p', value: 10 }, { unit: 'pt', value: 2 }]);
+    });
+});
@@ -0,0 +1,85 @@
+// conversion-table-fractions.test.js
+const { ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+// Test data: fractional and mixed-number inputs
+const validCases = [
+    { input: '3/8 in', expected: { unit: 'in', value: 0.375 } },
+    { input: '1 1/2in', expected: { unit: 'in', value: 1.5 } },
+    { input: '11/2in', expected: { unit: 'in', value: 5.5 } },
+    { input: '½in', expected: { unit: 'in', value: 0.5 } },
+    { input: '1½in', expected: { unit: 'in', value: 1.5 } },
+    { input: '2 ¾ in', expected: { unit: 'in', value: 2.75 } },
+    { input: '⅜', expected: { unit: 'pt', value: 0.375 } },
+    { input: '-1 1/4in', expected: { unit: 'in', value: -1.25 } },
+    { input: '1⁄3 p', expected: { unit: 'p', value: 1 / 3 } },
+];
+
+// Test data: fractional output of convert()
+const fractionOutputCases = [
+    { input: '4cm', targetUnit: 'in', fraction: 16, expected: '1 9/16' },
+    { input: '4cm', targetUnit: 'in', fraction: 8, expected: '1 5/8' },
+    { input: '36pt', targetUnit: 'in', fraction: 64, expected: '1/2' },
+    { input: '72pt', targetUnit: 'in', fraction: 2, expected: '1' },
+    { input: '-1 1/2in', targetUnit: 'in', fraction: 4, expected: '-1 1/2' },
+];
+
+describe('ConversionTableOperations - fractions', () => {
+    let typographyTable;
+
+    beforeAll(() => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.register('typography', {
+            'cm': { scale: 28.346456692914, term: 'Centimeter(s)' }, // Centimeters
+            'in': { scale: 72.0, term: 'Inch(es)' },                // Inches
+            'p': { scale: 12.0, minor: 'pt', term: 'Pica(s)' },     // Picas with Points as the minor unit
+            'pt': { base: true, term: 'Point(s)' },                 // Points as the base unit
+        });
+        [, typographyTable] = conversionManager.get('typography');
+    });
+
+    test.each(validCases)(
+        'should parse $input',
+        ({ input, expected }) => {
+            const [error, result] = ConversionTableOperations.parse(input, typographyTable);
+            expect(error).toBeNull();
+            expect(result.main.unit).toBe(expected.unit);
+            expect(result.main.value).toBeCloseTo(expected.value, 12);
+        }
+    );
+
+    test('should accept a fractional minor value', () => {
+        const [error, result] = ConversionTableOperations.parse('1p 1/2', typographyTable);
+        expect(error).toBeNull();
+        expect(result.sub).toEqual({ unit: 'pt', value: 0.5, scale: 1, bias: 0 });
+    });
+
+    test('should return an error for a zero denominator', () => {
+        const [error] = ConversionTableOperations.parse('1/0in', typographyTable);
+        expect(error).toBe("Invalid number in input '1/0in'.");
+    });
+
+    test.each(fractionOutputCases)(
+        'should convert $input to $targetUnit as a fraction of 1/$fraction',
+        ({ input, targetUnit, fraction, expected }) => {
+            const [error, result] = ConversionTableOperations.convert(input, targetUnit, typographyTable, { fraction });
+            expect(error).toBeNull();
+            expect(result.fraction).toBe(expected);
+        }
+    );
+
+    test('should not add a fraction unless requested', () => {
+        const [, result] = ConversionTableOperations.convert('4cm', 'in', typographyTable);
+        expect(result.fraction).toBeUndefined();
+    });
+
+    test('should reject a denominator that is not a power of two', () => {
+        const [error] = ConversionTableOperations.convert('4cm', 'in', typographyTable, { fraction: 10 });
+        expect(error).toBe("Fraction denominator must be a power of two, got '10'.");
+    });
+
+    test('should format values as fractions', () => {
+        expect(ConversionTableOperations.format(108, 'in', typographyTable, { fraction: 16 })).toEqual([null, '1 1/2in']);
+        expect(ConversionTableOperations.format(108, 'in', typographyTable, { fraction: 16, long: true })).toEqual([null, '1 1/2 Inches']);
+        expect(ConversionTableOperations.format(122.5, 'p', typographyTable, { fraction: 4 })).toEqual([null, '10p2 1/2']);
+    });
+});
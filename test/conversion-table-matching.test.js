@@ -0,0 +1,96 @@
+// conversion-table-matching.test.js
+const { ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+const lengthTable = {
+    'm': { base: true, term: 'Meter(s)' },                        // Meters as the base unit
+    'cm': { scale: 0.01, term: 'Centimeter(s)' },                 // Centimeters
+    'mm': { scale: 0.001, term: 'Millimeter(s)', caseSensitive: true }, // Millimeters, never confused with megameters
+    'Mm': { scale: 1e6, term: 'Megameter(s)', caseSensitive: true },    // Megameters
+    'in': { scale: 0.0254, term: 'Inch(es)', aliases: ['inch'] }, // Inches
+};
+
+const volumeTable = {
+    'l': { base: true, term: 'Liter(s)' },                        // Liters as the base unit
+    'fl oz': { scale: 0.0295735295625, term: 'Fluid Ounce(s)' },  // US fluid ounces
+    'km/h': { scale: 1, term: 'Odd' },                            // A key with a separator
+};
+
+describe('ConversionTable - unit matching options', () => {
+    let conversionManager;
+
+    beforeEach(() => {
+        conversionManager = new ConversionTableManager();
+        conversionManager.register('length', lengthTable, { caseSensitive: false });
+        conversionManager.register('strict', lengthTable);
+        conversionManager.register('volume', volumeTable, { ignoreWhitespace: true });
+    });
+
+    test.each([
+        { input: '10CM', unit: 'cm' },
+        { input: '10 Cm', unit: 'cm' },
+        { input: '2 M', unit: 'm' },
+        { input: '3IN', unit: 'in' },
+        { input: '3 Inch', unit: 'in' },
+        { input: '5mm', unit: 'mm' },
+        { input: '5Mm', unit: 'Mm' },
+    ])('should match $input as $unit in a case-insensitive table', ({ input, unit }) => {
+        const [error, parsed] = ConversionTableOperations.parse(input, conversionManager.tables.length);
+        expect(error).toBeNull();
+        expect(parsed.main.unit).toBe(unit);
+    });
+
+    test('should keep units with caseSensitive: true strict', () => {
+        const [error] = ConversionTableOperations.parse('5MM', conversionManager.tables.length);
+        expect(error).toBe('Invalid input format or no match found.');
+    });
+
+    test('should stay case-sensitive by default', () => {
+        const [error] = ConversionTableOperations.parse('10CM', conversionManager.tables.strict);
+        expect(error).toBe('Invalid input format or no match found.');
+        expect(conversionManager.tables.strict.matching).toEqual({ caseSensitive: true, ignoreWhitespace: false });
+    });
+
+    test('should let a unit opt into case-insensitive matching', () => {
+        conversionManager.register('typography', {
+            'pt': { base: true, term: 'Point(s)', caseSensitive: false }, // Points typed as 'PT' or 'Pt'
+            'p': { scale: 12, minor: 'pt', term: 'Pica(s)' },             // Picas stay strict
+        });
+        const { typography } = conversionManager.tables;
+        expect(ConversionTableOperations.parse('12 Pt', typography)[1].main.unit).toBe('pt');
+        expect(ConversionTableOperations.parse('1P', typography)[0]).toBe('Invalid input format or no match found.');
+    });
+
+    test.each(['2 fl oz', '2floz', '2 fl   oz', '2 km / h', '2km/ h'])(
+        'should tolerate whitespace in %s',
+        (input) => {
+            const [error, parsed] = ConversionTableOperations.parse(input, conversionManager.tables.volume);
+            expect(error).toBeNull();
+            expect(['fl oz', 'km/h']).toContain(parsed.main.unit);
+        }
+    );
+
+    test('should report the canonical unit key through convert() and evaluate()', () => {
+        const { length } = conversionManager.tables;
+        expect(ConversionTableOperations.convert('100 CM', 'm', length)).toEqual([null, { unit: 'm', value: 1 }]);
+
+        const [error, result] = ConversionTableOperations.evaluate('1 M + 50 CM', 'cm', length);
+        expect(error).toBeNull();
+        expect(result.value).toBeCloseTo(150, 10);
+    });
+
+    test('should match units as typed with matchUnit()', () => {
+        const { length, volume } = conversionManager.tables;
+        expect(length.matchUnit('CM')).toBe('cm');
+        expect(length.matchUnit('Mm')).toBe('Mm');
+        expect(length.matchUnit('MM')).toBeNull();
+        expect(volume.matchUnit('FL  OZ')).toBeNull();
+        expect(volume.matchUnit('fl  oz')).toBe('fl oz');
+    });
+
+    test('should keep the matching options through export and import', () => {
+        const [, json] = conversionManager.exportAll();
+        const importingManager = new ConversionTableManager();
+        expect(importingManager.importTables(json)[0]).toBeNull();
+        expect(importingManager.tables).toEqual(conversionManager.tables);
+    });
+});
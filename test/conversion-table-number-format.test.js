@@ -0,0 +1,122 @@
+// conversion-table-number-format.test.js
+const { ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+const typographyTableData = {
+    'c': { scale: 12.789, minor: 'd', term: 'Cicero(s)' }, // Ciceros with Didots as the minor unit
+    'cm': { scale: 28.3465, term: 'Centimeter(s)' },        // Centimeters
+    'd': { scale: 1.06575, term: 'Didot(s)' },              // Didots
+    'in': { scale: 72.0, term: 'Inch(es)' },                // Inches
+    'p': { scale: 12.0, minor: 'pt', term: 'Pica(s)' },     // Picas with Points as the minor unit
+    'pt': { base: true, term: 'Point(s)' },                 // Points as the base unit
+};
+
+// Test data: Valid cases with the default number format
+const validCases = [
+    { input: '-3pt', expected: { unit: 'pt', value: -3 } },
+    { input: '+3pt', expected: { unit: 'pt', value: 3 } },
+    { input: '−2in', expected: { unit: 'in', value: -2 } },
+    { input: '.5in', expected: { unit: 'in', value: 0.5 } },
+    { input: '1e-3cm', expected: { unit: 'cm', value: 0.001 } },
+    { input: '2.5E2 pt', expected: { unit: 'pt', value: 250 } },
+    { input: '1,234.5pt', expected: { unit: 'pt', value: 1234.5 } },
+    { input: '-1e2', expected: { unit: 'pt', value: -100 } },
+];
+
+// Test data: Invalid cases with the default number format
+const invalidCases = [
+    { input: '1,5 cm', expectedError: 'Invalid input format or no match found.' },
+    { input: '--3pt', expectedError: 'Invalid input format or no match found.' },
+    { input: '1.in', expectedError: 'Invalid input format or no match found.' },
+    { input: '1e pt', expectedError: 'Invalid input format or no match found.' },
+    { input: '12,34pt', expectedError: 'Invalid input format or no match found.' },
+];
+
+describe('ConversionTableOperations - parse() number formats', () => {
+    let typographyTable;
+
+    beforeAll(() => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.register('typography', typographyTableData);
+        [, typographyTable] = conversionManager.get('typography');
+    });
+
+    test.each(validCases)(
+        'should parse $input',
+        ({ input, expected }) => {
+            const [error, result] = ConversionTableOperations.parse(input, typographyTable);
+            expect(error).toBeNull();
+            expect(result.main.unit).toBe(expected.unit);
+            expect(result.main.value).toBeCloseTo(expected.value, 12);
+        }
+    );
+
+    test.each(invalidCases)(
+        'should return error for $input',
+        ({ input, expectedError }) => {
+            const [error] = ConversionTableOperations.parse(input, typographyTable);
+            expect(error).toBe(expectedError);
+        }
+    );
+
+    test('should apply the sign of the major value to the minor value', () => {
+        const [error, result] = ConversionTableOperations.parse('-1p6', typographyTable);
+        expect(error).toBeNull();
+        expect(result.main.value).toBe(-1);
+        expect(result.sub.value).toBe(-6);
+
+        const [convertError, converted] = ConversionTableOperations.convert('-1p6', 'pt', typographyTable);
+        expect(convertError).toBeNull();
+        expect(converted.value).toBe(-18);
+    });
+
+    test('should accept a number format per call', () => {
+        const options = { numberFormat: { decimal: ',', thousands: '.' } };
+
+        const [error, result] = ConversionTableOperations.parse('1,5 cm', typographyTable, options);
+        expect(error).toBeNull();
+        expect(result.main.value).toBe(1.5);
+
+        const [convertError, converted] = ConversionTableOperations.convert('1.000,5pt', 'pt', typographyTable, options);
+        expect(convertError).toBeNull();
+        expect(converted.value).toBe(1000.5);
+    });
+
+    test('should switch the thousands separator when only the decimal separator is set', () => {
+        const [error, result] = ConversionTableOperations.parse('1.000,5 cm', typographyTable, { numberFormat: { decimal: ',' } });
+        expect(error).toBeNull();
+        expect(result.main.value).toBe(1000.5);
+
+        const conversionManager = new ConversionTableManager({ numberFormat: { decimal: ',', thousands: '.' } });
+        conversionManager.register('typography', typographyTableData);
+        const [, table] = conversionManager.get('typography');
+        expect(ConversionTableOperations.parse('1,000.5 cm', table, { numberFormat: { decimal: '.' } })[1].main.value).toBe(1000.5);
+    });
+
+    test('should reject an invalid number format per call', () => {
+        const [error] = ConversionTableOperations.parse('1,5 cm', typographyTable, { numberFormat: { decimal: ',', thousands: ',' } });
+        expect(error).toBe("Decimal and thousands separators must differ (both are ',').");
+    });
+});
+
+describe('ConversionTableManager - number format', () => {
+    test('should apply the manager number format to registered tables', () => {
+        const conversionManager = new ConversionTableManager({ numberFormat: { decimal: ',', thousands: ' ' } });
+        conversionManager.register('typography', typographyTableData);
+        const [, typographyTable] = conversionManager.get('typography');
+
+        expect(typographyTable.numberFormat).toEqual({ decimal: ',', thousands: ' ' });
+
+        const [error, result] = ConversionTableOperations.parse('-1 234,5 pt', typographyTable);
+        expect(error).toBeNull();
+        expect(result.main.value).toBe(-1234.5);
+
+        const [dotError] = ConversionTableOperations.parse('1.5pt', typographyTable);
+        expect(dotError).toBe('Invalid input format or no match found.');
+    });
+
+    test('should refuse to register tables with an invalid number format', () => {
+        const conversionManager = new ConversionTableManager({ numberFormat: { decimal: '5' } });
+        const [error] = conversionManager.register('typography', typographyTableData);
+        expect(error).toBe("Invalid decimal separator '5'.");
+    });
+});
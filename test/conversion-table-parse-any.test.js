@@ -0,0 +1,74 @@
+// conversion-table-parse-any.test.js
+const { ConversionTableManager } = require('../conversion-table-manager');
+
+describe('ConversionTableManager - parseAny() method', () => {
+    let conversionManager;
+
+    beforeEach(() => {
+        conversionManager = new ConversionTableManager();
+        conversionManager.register('typography', {
+            'c': { scale: 12.789, minor: 'd', term: 'Cicero(s)' }, // Ciceros with Didots as the minor unit
+            'd': { scale: 1.06575, term: 'Didot(s)' },              // Didots
+            'p': { scale: 12.0, minor: 'pt', term: 'Pica(s)' },     // Picas with Points as the minor unit
+            'pt': { base: true, term: 'Point(s)' },                 // Points as the base unit
+        }, { dimension: 'length' });
+        conversionManager.register('volume', {
+            'ml': { base: true, term: 'Milliliter(s)' },            // Milliliters as the base unit
+            'c': { scale: 236.5882365, term: 'Cup(s)' },            // US cups
+        }, { dimension: 'volume' });
+        conversionManager.register('mass', {
+            'g': { base: true, term: 'Gram(s)' },                   // Grams as the base unit
+            'kg': { scale: 1000, term: 'Kilogram(s)' },             // Kilograms
+        }, { dimension: 'mass' });
+    });
+
+    test('should return the only table matching an explicit unit', () => {
+        const [error, interpretations] = conversionManager.parseAny('2kg');
+        expect(error).toBeNull();
+        expect(interpretations).toEqual([{
+            table: 'mass',
+            dimension: 'mass',
+            match: 'unit',
+            parsed: { main: { unit: 'kg', value: 2, scale: 1000, bias: 0 }, sub: null, base: 'g' },
+        }]);
+    });
+
+    test('should return every table knowing the unit, in registration order', () => {
+        const [error, interpretations] = conversionManager.parseAny('2c');
+        expect(error).toBeNull();
+        expect(interpretations.map(({ table }) => table)).toEqual(['typography', 'volume']);
+        expect(interpretations.every(({ match }) => match === 'unit')).toBe(true);
+    });
+
+    test('should break ties with the preferred table hint', () => {
+        const [error, interpretations] = conversionManager.parseAny('2c', { prefer: 'volume' });
+        expect(error).toBeNull();
+        expect(interpretations.map(({ table }) => table)).toEqual(['volume', 'typography']);
+        expect(interpretations[0].parsed.main).toEqual({ unit: 'c', value: 2, scale: 236.5882365, bias: 0 });
+    });
+
+    test('should rank base unit fallbacks after explicit unit matches', () => {
+        conversionManager.register('count', {
+            'ea': { base: true, term: 'Each' },
+            'doz': { scale: 12, term: 'Dozen' },
+        });
+
+        const [error, interpretations] = conversionManager.parseAny('12', { prefer: ['mass', 'count'] });
+        expect(error).toBeNull();
+        expect(interpretations.map(({ table, match }) => `${table}:${match}`)).toEqual([
+            'mass:base', 'count:base', 'typography:base', 'volume:base',
+        ]);
+        expect(interpretations[0].parsed.main.unit).toBe('g');
+    });
+
+    test('should not let the hint outrank an explicit unit match', () => {
+        const [error, interpretations] = conversionManager.parseAny('1c4', { prefer: 'volume' });
+        expect(error).toBeNull();
+        expect(interpretations.map(({ table }) => table)).toEqual(['typography']);
+    });
+
+    test('should return an error when no table matches', () => {
+        expect(conversionManager.parseAny('5 furlongs')).toEqual(['Invalid input format or no match found.', null]);
+        expect(conversionManager.parseAny(null)).toEqual(['Invalid input format or no match found.', null]);
+    });
+});
@@ -0,0 +1,115 @@
+// conversion-table-prefixes.test.js
+const { ConversionTable, ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+describe('ConversionTable - prefix expansion', () => {
+    test('should generate prefixed units from an allow-list', () => {
+        const [error, table] = ConversionTable.factory({
+            'm': { base: true, term: 'Meter(s)', prefixes: ['k', 'c', 'm'] },
+            'in': { scale: 0.0254, term: 'Inch(es)' },
+        }, 'length');
+        expect(error).toBeNull();
+        expect(Object.keys(table.table)).toEqual(['m', 'km', 'cm', 'mm', 'in']);
+        expect(table.table.km).toEqual({ base: false, scale: 1000, bias: 0, alias: null, minor: null, term: ['Kilometer', 'Kilometers'] });
+        expect(table.table.mm.scale).toBe(0.001);
+
+        const [convertError, result] = ConversionTableOperations.convert('2.54cm', 'in', table);
+        expect(convertError).toBeNull();
+        expect(result.value).toBeCloseTo(1, 12);
+    });
+
+    test('should generate all prefixes of a group', () => {
+        const [error, table] = ConversionTable.factory({
+            'B': { base: true, term: 'Byte(s)', prefixes: 'binary' },
+        }, 'data');
+        expect(error).toBeNull();
+        expect(Object.keys(table.table)).toEqual(['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB', 'EiB', 'ZiB', 'YiB']);
+        expect(table.table.GiB.scale).toBe(1073741824);
+        expect(table.table.KiB.term).toEqual(['Kibibyte', 'Kibibytes']);
+    });
+
+    test('should keep small scales and convert to them without losing the value', () => {
+        const [error, table] = ConversionTable.factory({
+            'g': { base: true, term: 'Gram(s)', prefixes: 'metric' },
+        }, 'mass');
+        expect(error).toBeNull();
+        expect(table.table.qg.scale).toBe(1e-30);
+        expect(table.table.ng.scale).toBe(1e-9);
+        expect(table.table.dag.term).toEqual(['Decagram', 'Decagrams']);
+        expect(ConversionTableOperations.convert('5ng', 'g', table)).toEqual([null, { unit: 'g', value: 5e-9 }]);
+        expect(ConversionTableOperations.convert('2qg', 'kg', table)).toEqual([null, { unit: 'kg', value: 2e-33 }]);
+    });
+
+    test.each([
+        { name: 'typography', table: { 'pt': { base: true }, 'p': { scale: 12, minor: 'pt' }, 'cm': { scale: 28.3464566929 }, 'mm': { scale: 2.83464566929 } }, precision: 11 },
+        { name: 'inches', table: { 'in': { base: true }, 'pt': { scale: 1 / 72 }, 'p': { scale: 1 / 6 }, 'mil': { scale: 0.001 } }, precision: 15 },
+        { name: 'temperature', table: { 'C': { base: true }, 'F': { scale: 5 / 9, bias: -160 / 9 }, 'K': { scale: 1, bias: -273.15 } }, precision: 15 },
+        { name: 'length', table: { 'm': { base: true }, 'km': { scale: 1000 }, 'mm': { scale: 0.001 } }, precision: 6 },
+    ])('should keep the precision of the $name table without prefixes', ({ name, table, precision }) => {
+        const [error, conversionTable] = ConversionTable.factory(table, name);
+        expect(error).toBeNull();
+        expect(conversionTable.precision).toBe(precision);
+    });
+
+    test('should keep the precision of the built-in tables', () => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.registerBuiltins();
+        const precisions = Object.fromEntries(Object.entries(conversionManager.tables).map(([name, table]) => [name, table.precision]));
+        expect(precisions).toMatchObject({ mass: 9, volume: 14, temperature: 15, typography: 15, data: 6, time: 6 });
+    });
+
+    test('should convert to and from the nanometers of the built-in length table without losing the value', () => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.registerBuiltins();
+        const { length } = conversionManager.tables;
+        expect(ConversionTableOperations.convert('5nm', 'm', length)).toEqual([null, { unit: 'm', value: 5e-9 }]);
+        expect(ConversionTableOperations.convert('1nm', 'in', length)).toEqual([null, { unit: 'in', value: 3.93700787401575e-8 }]);
+        expect(ConversionTableOperations.convert('0.0254mm', 'nm', length)).toEqual([null, { unit: 'nm', value: 25400 }]);
+    });
+
+    test('should multiply the scale of the unit and keep its bias', () => {
+        const [error, table] = ConversionTable.factory({
+            'J': { base: true, term: 'Joule(s)' },
+            'eV': { scale: 1.602176634e-19, term: 'Electronvolt(s)', prefixes: ['k', 'M'] },
+            'x': { scale: 2, bias: 5, term: 'X', prefixes: ['k'] },
+        }, 'energy');
+        expect(error).toBeNull();
+        expect(table.table.MeV.scale).toBeCloseTo(1.602176634e-13, 25);
+        expect(table.table.kx).toMatchObject({ scale: 2000, bias: 5, term: ['Kilox', 'Kilox'] });
+    });
+
+    test('should match generated units in the regex, longest first', () => {
+        const [, table] = ConversionTable.factory({
+            'm': { base: true, term: 'Meter(s)', prefixes: ['m', 'da'] },
+        }, 'length');
+        const [error, parsed] = ConversionTableOperations.parse('3dam', table);
+        expect(error).toBeNull();
+        expect(parsed.main).toEqual({ unit: 'dam', value: 3, scale: 10, bias: 0 });
+        expect(ConversionTableOperations.parse('3mm', table)[1].main.unit).toBe('mm');
+    });
+
+    test('should prefer an explicit unit over a generated one', () => {
+        const [error, table] = ConversionTable.factory({
+            'm': { base: true, term: 'Meter(s)', prefixes: ['k'] },
+            'km': { scale: 1000, term: 'Klick(s)' },
+        }, 'length');
+        expect(error).toBeNull();
+        expect(table.table.km.term).toEqual(['Klick', 'Klicks']);
+    });
+
+    test('should return errors for invalid prefix declarations', () => {
+        expect(ConversionTable.factory({ 'm': { base: true, prefixes: ['k', 'X'] } }, 'length'))
+            .toEqual(["Unknown prefix 'X' in unit 'm'.", null]);
+        expect(ConversionTable.factory({ 'm': { base: true, prefixes: 'imperial' } }, 'length'))
+            .toEqual(["Unknown prefix 'imperial' in unit 'm'.", null]);
+        expect(ConversionTable.factory({ 'm': { base: true }, 'meter': { alias: 'm', prefixes: ['k'] } }, 'length'))
+            .toEqual(["Unit 'meter' cannot declare prefixes: it is an alias.", null]);
+    });
+
+    test('should report colliding generated units', () => {
+        const [error] = ConversionTable.factory({
+            'am': { base: true, term: 'Am', prefixes: ['d'] },
+            'm': { scale: 2, term: 'M', prefixes: ['da'] },
+        }, 'odd');
+        expect(error).toBe("Prefixed unit 'dam' of 'm' collides with another prefixed unit.");
+    });
+});
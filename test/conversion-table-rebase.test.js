@@ -0,0 +1,136 @@
+// conversion-table-rebase.test.js
+const { ConversionTableManager, ConversionTableOperations, ConversionTable } = require('../conversion-table-manager');
+
+const typographyTable = {
+    'pt': { base: true, term: 'Point(s)' },                    // Points as the base unit
+    'p': { scale: 12, minor: 'pt', term: 'Pica(s)' },          // Picas with Points as the minor unit
+    'in': { scale: 72, term: 'Inch(es)' },                     // Inches
+    'i': { alias: 'in' },                                      // Alias for inches
+    'cm': { scale: '72/2.54', term: 'Centimeter(s)' },         // Centimeters, with an exact scale
+};
+
+const surveyTable = {
+    'ft': { base: true, term: 'Survey Foot/Feet' },            // US survey feet as the base unit
+    'ch': { scale: 66, term: 'Chain(s)' },                     // Gunter's chains
+    'mi': { scale: 5280, term: 'Survey Mile(s)' },             // US survey miles
+};
+
+const metricTable = {
+    'm': { base: true, term: 'Meter(s)' },                     // Meters as the base unit
+    'km': { scale: 1000, term: 'Kilometer(s)' },               // Kilometers
+    'cm': { scale: '0.01', term: 'Centimeter(s)' },            // Centimeters
+};
+
+describe('ConversionTable - rebase()', () => {
+    let typography;
+
+    beforeEach(() => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.register('typography', typographyTable, { dimension: 'length', caseSensitive: false });
+        typography = conversionManager.tables.typography;
+    });
+
+    test('should recompute every scale relative to the new base unit', () => {
+        const [error, inches] = typography.rebase('i');
+        expect(error).toBeNull();
+        expect(inches).toBeInstanceOf(ConversionTable);
+        expect(inches.base).toBe('in');
+        expect(inches.table.in).toMatchObject({ base: true, scale: 1 });
+        expect(inches.table.pt).toMatchObject({ base: false, scale: 0.0138888888888889 });
+        expect(inches.table.p).toMatchObject({ scale: 0.166666666666667, minor: 'pt' });
+        expect(inches.table.cm.exact).toEqual({ scale: '50/127' });
+        expect(inches.dimension).toBe('length');
+        expect(inches.matching.caseSensitive).toBe(false);
+
+        expect(ConversionTableOperations.convert('1p6', 'in', inches)).toEqual([null, { unit: 'in', value: 0.25 }]);
+        expect(ConversionTableOperations.convert('2.54CM', 'pt', inches)).toEqual([null, { unit: 'pt', value: 72 }]);
+        expect(typography.base).toBe('pt');
+    });
+
+    test('should recompute biases', () => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.registerBuiltin('temperature');
+        const [, kelvin] = conversionManager.tables.temperature.rebase('K');
+        expect(kelvin.base).toBe('K');
+        expect(kelvin.table.C).toMatchObject({ scale: 1, bias: 273.15 });
+        expect(ConversionTableOperations.convert('0K', 'C', kelvin)).toEqual([null, { unit: 'C', value: -273.15 }]);
+        expect(ConversionTableOperations.convert('212F', 'C', kelvin)).toEqual([null, { unit: 'C', value: 100 }]);
+    });
+
+    test('should report unknown units', () => {
+        expect(typography.rebase('ft')).toEqual(["Unit 'ft' not found in table 'typography'.", null]);
+    });
+
+    test('should write the table back as a raw table', () => {
+        const rawTable = typography.toRawTable();
+        expect(rawTable.cm).toMatchObject({ scale: '72/2.54' });
+        expect(rawTable.i).toEqual({ alias: 'in' });
+
+        const [, copy] = ConversionTable.factory(rawTable, 'typography', { dimension: 'length', caseSensitive: false });
+        expect(copy.table).toEqual(typography.table);
+    });
+});
+
+describe('ConversionTableManager - bridges between tables', () => {
+    let conversionManager;
+
+    beforeEach(() => {
+        conversionManager = new ConversionTableManager();
+        conversionManager.register('survey', surveyTable, { dimension: 'length' });
+        conversionManager.register('metric', metricTable, { dimension: 'length' });
+    });
+
+    test('should convert through a bridge in both directions', () => {
+        expect(conversionManager.bridge('survey', 'metric', '1200/3937'))
+            .toEqual([null, "Tables 'survey' and 'metric' bridged successfully."]);
+
+        expect(conversionManager.convertAcross('1mi', 'km'))
+            .toEqual([null, { unit: 'km', value: 1.609347, table: 'metric', bridge: ['survey', 'metric'] }]);
+        expect(conversionManager.convertAcross('1km', 'ft'))
+            .toEqual([null, { unit: 'ft', value: 3280.833333, table: 'survey', bridge: ['metric', 'survey'] }]);
+        expect(conversionManager.convertAcross('1km', 'ft', { exact: 'rational' })[1].value)
+            .toEqual({ numerator: '19685', denominator: '6' });
+        expect(conversionManager.convertAcross('10 chains', 'm', { exact: true, precision: 9 })[1].value).toBe('201.168402337');
+    });
+
+    test('should apply biases and chain bridges', () => {
+        conversionManager.register('celsius', { 'C': { base: true, term: 'Celsius' } }, { dimension: 'temperature' });
+        conversionManager.register('fahrenheit', { 'F': { base: true, term: 'Fahrenheit' } }, { dimension: 'temperature' });
+        conversionManager.register('kelvin', { 'K': { base: true, term: 'Kelvin' } }, { dimension: 'temperature' });
+        conversionManager.bridge('fahrenheit', 'celsius', '5/9', '-160/9');
+        conversionManager.bridge('celsius', 'kelvin', 1, '273.15');
+
+        expect(conversionManager.convertAcross('212F', 'C')[1].value).toBe(100);
+        expect(conversionManager.convertAcross('100C', 'F')[1].value).toBe(212);
+        expect(conversionManager.convertAcross('32F', 'K', { exact: true }))
+            .toEqual([null, { unit: 'K', value: '273.15', table: 'kelvin', bridge: ['fahrenheit', 'celsius', 'kelvin'] }]);
+    });
+
+    test('should prefer units of the same table and replace bridges', () => {
+        conversionManager.bridge('survey', 'metric', 0.3048);
+        conversionManager.bridge('metric', 'survey', '3937/1200');
+        expect(conversionManager.bridges).toEqual([{ from: 'metric', to: 'survey', factor: 3937 / 1200, bias: 0, exact: { factor: '3937/1200' } }]);
+        expect(conversionManager.convertAcross('1km', 'm')).toEqual([null, { unit: 'm', value: 1000, table: 'metric' }]);
+        expect(conversionManager.convertAcross('1200m', 'ft')[1].value).toBe(3937);
+    });
+
+    test('should refuse invalid bridges and forget the bridges of unregistered tables', () => {
+        conversionManager.register('mass', { 'g': { base: true, term: 'Gram(s)' } }, { dimension: 'mass' });
+        const refusals = [
+            [conversionManager.bridge('survey', 'nope', 1), "Table 'nope' not found."],
+            [conversionManager.bridge('survey', 'survey', 1), "Cannot bridge table 'survey' to itself."],
+            [conversionManager.bridge('survey', 'metric', 0), "Invalid bridge factor '0'; it must be a positive number."],
+            [conversionManager.bridge('survey', 'metric', '1/0'), "Invalid bridge factor '1/0'; it must be a positive number."],
+            [conversionManager.bridge('survey', 'metric', 1, 'x'), "Invalid bridge bias 'x'; it must be a finite number."],
+            [conversionManager.bridge('survey', 'mass', 1), "Tables 'survey' and 'mass' measure different dimensions ('length' and 'mass')."],
+        ];
+        for (const [result, expected] of refusals) {
+            expect(result).toEqual([expected, null]);
+        }
+        expect(conversionManager.convertAcross('1mi', 'km')).toEqual(["Units 'mi' and 'km' are not in the same table.", null]);
+
+        conversionManager.bridge('survey', 'metric', '1200/3937');
+        conversionManager.unregister('metric');
+        expect(conversionManager.bridges).toEqual([]);
+    });
+});
@@ -0,0 +1,111 @@
+// conversion-table-rounding.test.js
+const { ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+const typographyTable = {
+    'cm': { scale: 28.3464566929134, term: 'Centimeter(s)' }, // Centimeters
+    'in': { scale: 72.0, term: 'Inch(es)' },                  // Inches
+    'p': { scale: 12.0, minor: 'pt', term: 'Pica(s)' },       // Picas with Points as the minor unit
+    'pt': { base: true, term: 'Point(s)' },                   // Points as the base unit
+};
+
+// Test data: value, options and the expected result of round()
+const roundingCases = [
+    { value: 1.005, options: { decimals: 2 }, expected: 1.01 },
+    { value: 1.0049999, options: { decimals: 2 }, expected: 1 },
+    { value: 2.5, options: { decimals: 0 }, expected: 3 },
+    { value: -2.5, options: { decimals: 0 }, expected: -3 },
+    { value: 2.5, options: { decimals: 0, mode: 'half-even' }, expected: 2 },
+    { value: 3.5, options: { decimals: 0, mode: 'half-even' }, expected: 4 },
+    { value: 2.51, options: { decimals: 0, mode: 'half-even' }, expected: 3 },
+    { value: 0.125, options: { decimals: 2, mode: 'half-even' }, expected: 0.12 },
+    { value: 2.1, options: { decimals: 0, mode: 'ceil' }, expected: 3 },
+    { value: -2.1, options: { decimals: 0, mode: 'ceil' }, expected: -2 },
+    { value: 2.9, options: { decimals: 0, mode: 'floor' }, expected: 2 },
+    { value: -2.1, options: { decimals: 0, mode: 'floor' }, expected: -3 },
+    { value: -2.9, options: { decimals: 0, mode: 'truncate' }, expected: -2 },
+    { value: 0.0004, options: { decimals: 2, mode: 'ceil' }, expected: 0.01 },
+    { value: -0.004, options: { decimals: 2 }, expected: 0 },
+    { value: 999.99, options: { decimals: 1 }, expected: 1000 },
+    { value: 283.46456692914003, options: { significant: 15 }, expected: 283.46456692914 },
+    { value: 0.000123456, options: { significant: 2 }, expected: 0.00012 },
+    { value: 123456, options: { significant: 2 }, expected: 120000 },
+    { value: 1.23456, options: { decimals: 3, significant: 2 }, expected: 1.2 },
+    { value: 1.5, options: {}, expected: 1.5 },
+    { value: 1e21, options: { decimals: 2 }, expected: 1e21 },
+];
+
+describe('ConversionTableOperations - round() method', () => {
+    test.each(roundingCases)(
+        'should round $value with $options to $expected',
+        ({ value, options, expected }) => {
+            expect(ConversionTableOperations.round(value, options)).toEqual([null, expected]);
+        }
+    );
+
+    test('should return errors for invalid options', () => {
+        expect(ConversionTableOperations.round(1, { mode: 'bankers' }))
+            .toEqual(["Unknown rounding mode 'bankers'. Use one of 'half-up', 'half-even', 'floor', 'ceil', 'truncate'.", null]);
+        expect(ConversionTableOperations.round(1, { decimals: -1 }))
+            .toEqual(["Invalid decimals '-1'; it must be a non-negative integer.", null]);
+        expect(ConversionTableOperations.round(1, { significant: 0 }))
+            .toEqual(["Invalid significant digits '0'; it must be a positive integer.", null]);
+        expect(ConversionTableOperations.round('1', { decimals: 2 })).toEqual(["Invalid value '1'.", null]);
+    });
+});
+
+describe('ConversionTableOperations - rounded conversion results', () => {
+    let table;
+
+    beforeEach(() => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.register('typography', typographyTable);
+        [, table] = conversionManager.get('typography');
+    });
+
+    test('should round to the table precision and 15 significant digits by default', () => {
+        expect(table.precision).toBe(13);
+        expect(ConversionTableOperations.convert('10cm', 'pt', table)).toEqual([null, { unit: 'pt', value: 283.464566929134 }]);
+        expect(ConversionTableOperations.convert('1pt', 'cm', table)).toEqual([null, { unit: 'cm', value: 0.0352777777778 }]);
+    });
+
+    test('should accept precision, significant digits and a rounding mode', () => {
+        expect(ConversionTableOperations.convert('10cm', 'pt', table, { precision: 2 })[1].value).toBe(283.46);
+        expect(ConversionTableOperations.convert('10cm', 'pt', table, { precision: 2, rounding: 'ceil' })[1].value).toBe(283.47);
+        expect(ConversionTableOperations.convert('10cm', 'pt', table, { significant: 4 })[1].value).toBe(283.5);
+        expect(ConversionTableOperations.convert('10cm', 'pt', table, { precision: 0, rounding: 'truncate' })[1].value).toBe(283);
+    });
+
+    test('should round format() output with the same options', () => {
+        expect(ConversionTableOperations.format(283.4646, 'pt', table, { precision: 1, rounding: 'floor' })).toEqual([null, '283.4pt']);
+        expect(ConversionTableOperations.format(30.25, 'p', table, { precision: 0, rounding: 'half-even' })).toEqual([null, '2p6']);
+        expect(ConversionTableOperations.format(1, 'pt', table, { rounding: 'up' }))
+            .toEqual(["Unknown rounding mode 'up'. Use one of 'half-up', 'half-even', 'floor', 'ceil', 'truncate'.", null]);
+    });
+
+    test('should keep the significant digits of results that the table precision would round to 0', () => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.registerBuiltins();
+        const { length, time, data } = conversionManager.tables;
+
+        expect(ConversionTableOperations.convert('5nm', 'm', length)).toEqual([null, { unit: 'm', value: 5e-9 }]);
+        expect(ConversionTableOperations.convert('1ms', 'h', time)).toEqual([null, { unit: 'h', value: 2.77777777777778e-7 }]);
+        expect(ConversionTableOperations.convert('1bit', 'TB', data)).toEqual([null, { unit: 'TB', value: 1.25e-13 }]);
+        expect(ConversionTableOperations.convert('5nm', 'm', length, { exact: true })).toEqual([null, { unit: 'm', value: '0.000000005' }]);
+        expect(ConversionTableOperations.convert('1ms', 'h', time, { exact: true }))
+            .toEqual([null, { unit: 'h', value: '0.000000277777777777778' }]);
+    });
+
+    test('should round small results to an explicit precision', () => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.registerBuiltins();
+        const { length } = conversionManager.tables;
+
+        expect(ConversionTableOperations.convert('5nm', 'm', length, { precision: 3 })).toEqual([null, { unit: 'm', value: 0 }]);
+        expect(ConversionTableOperations.convert('5nm', 'm', length, { exact: true, precision: 3 })).toEqual([null, { unit: 'm', value: '0' }]);
+    });
+
+    test('should return errors for invalid rounding options in convert()', () => {
+        expect(ConversionTableOperations.convert('10cm', 'pt', table, { precision: 1.5 }))
+            .toEqual(["Invalid decimals '1.5'; it must be a non-negative integer.", null]);
+    });
+});
@@ -0,0 +1,178 @@
+// conversion-table-serializer.test.js
+const { ConversionTableManager, ConversionTableSerializer, TABLE_SCHEMA } = require('../conversion-table-manager');
+
+const typographyTable = {
+    'c': { scale: 12.789, minor: 'd', term: 'Cicero(s)' }, // Ciceros with Didots as the minor unit
+    'd': { scale: 1.06575, term: 'Didot(s)' },              // Didots
+    'i': { alias: 'in' },                                   // Alias for inches
+    'in': { scale: 72.0, term: 'Inch(es)' },                // Inches
+    'pt': { base: true, term: 'Point(s)' },                 // Points as the base unit
+};
+
+const temperatureTable = {
+    'C': { base: true, term: 'Celsius' },                   // Celsius as the base unit
+    'F': { scale: 5 / 9, bias: -160 / 9, term: 'Fahrenheit' },
+    'K': { bias: -273.15, term: 'Kelvin' },
+};
+
+describe('ConversionTableManager - export and import', () => {
+    let conversionManager;
+
+    beforeEach(() => {
+        conversionManager = new ConversionTableManager();
+        conversionManager.register('typography', typographyTable, { dimension: 'length' });
+        conversionManager.register('temperature', temperatureTable);
+    });
+
+    test('should export a table as a JSON document', () => {
+        const [error, json] = conversionManager.exportTable('typography');
+        expect(error).toBeNull();
+
+        const document = JSON.parse(json);
+        expect(document.version).toBe(1);
+        expect(Object.keys(document.tables)).toEqual(['typography']);
+        expect(document.tables.typography).toMatchObject({ base: 'pt', precision: 6, dimension: 'length' });
+        expect(document.tables.typography.units.i).toEqual({ alias: 'in' });
+        expect(document.tables.typography.units.c).toEqual({ scale: 12.789, bias: 0, term: ['Cicero', 'Ciceros'], minor: 'd' });
+    });
+
+    test.each(['json', 'yaml'])('should round-trip all tables as %s', (format) => {
+        conversionManager.register('time', { 's': { base: true, term: 'Second(s)' }, 'h': { scale: 3600, term: 'Hour(s)' } });
+        conversionManager.registerDerived('speed', 'typography/time');
+
+        const [exportError, text] = conversionManager.exportAll({ format });
+        expect(exportError).toBeNull();
+
+        const importingManager = new ConversionTableManager();
+        const [importError, message] = importingManager.importTables(text);
+        expect(importError).toBeNull();
+        expect(message).toBe("Tables 'typography', 'temperature', 'time', 'speed' imported successfully.");
+        expect(importingManager.tables).toEqual(conversionManager.tables);
+        expect(importingManager.tables.speed.derivedFrom).toBe('typography/time');
+    });
+
+    test('should write readable YAML and quote ambiguous strings', () => {
+        conversionManager.register('odd', { 'x': { base: true, term: 'null' }, 'a: b': { scale: 2, term: '12' } });
+        const [, yaml] = conversionManager.exportTable('odd', { format: 'yaml' });
+        expect(yaml).toBe([
+            'version: 1',
+            'tables:',
+            '  odd:',
+            '    base: x',
+            '    precision: 6',
+            '    dimension: null',
+            '    units:',
+            '      x:',
+            '        scale: 1',
+            '        bias: 0',
+            '        term: ["null", "null"]',
+            '        minor: null',
+            '      "a: b":',
+            '        scale: 2',
+            '        bias: 0',
+            '        term: ["12", "12"]',
+            '        minor: null',
+        ].join('\n'));
+    });
+
+    test('should read YAML with comments and single-quoted strings', () => {
+        const yaml = [
+            '# Hand-written table',
+            'version: 1',
+            'tables:',
+            '  area:',
+            '    base: m²',
+            '    units:',
+            '      m²:',
+            "        term: 'Square Meter(s)'",
+            '      a:',
+            '        scale: 100',
+            '        term: [Are, Ares]',
+        ].join('\n');
+        const [error] = conversionManager.importTables(yaml);
+        expect(error).toBeNull();
+        expect(conversionManager.tables.area.table['m²'].term).toEqual(['Square Meter', 'Square Meters']);
+        expect(conversionManager.tables.area.table.a.scale).toBe(100);
+    });
+
+    test('should accept a document object', () => {
+        const document = ConversionTableSerializer.serialize({ typography: conversionManager.tables.typography });
+        const importingManager = new ConversionTableManager();
+        expect(importingManager.importTables(document)[0]).toBeNull();
+        expect(importingManager.tables.typography).toEqual(conversionManager.tables.typography);
+    });
+
+    test('should report every problem with its path', () => {
+        const document = {
+            version: 1,
+            tables: {
+                typography: {
+                    base: 'pc',
+                    precision: 20,
+                    units: {
+                        'c': { scale: 12.789, minor: 'x', term: 'Cicero(s)' },
+                        'i': { alias: 'in' },
+                        'pt': { scale: 0, term: ['Point'], color: 'red' },
+                        'km/h': { bias: 'three' },
+                    },
+                },
+                broken: [],
+            },
+        };
+        expect(ConversionTableSerializer.validate(document)).toEqual([
+            "tables.typography.base refers to unknown unit 'pc'",
+            'tables.typography.precision must be an integer between 6 and 15',
+            "tables.typography.units.c.minor refers to unknown unit 'x'",
+            "tables.typography.units.i.alias refers to unknown unit 'in'",
+            'tables.typography.units.pt.color is not a known property',
+            'tables.typography.units.pt.scale must be a non-zero number',
+            'tables.typography.units.pt.term must be a string or a [singular, plural] pair',
+            'tables.typography.units["km/h"].bias must be a number',
+            'tables.broken must be an object',
+        ]);
+
+        const [error, message] = conversionManager.importTables(document);
+        expect(error).toMatch(/^Invalid table document: tables\.typography\.base refers to unknown unit 'pc'; .*; tables\.broken must be an object\.$/);
+        expect(message).toBeNull();
+    });
+
+    test('should validate the document structure', () => {
+        expect(ConversionTableSerializer.validate(null)).toEqual(['document must be an object']);
+        expect(ConversionTableSerializer.validate({ version: 2, tables: 'none', extra: true })).toEqual([
+            'extra is not a known property',
+            'version must be 1',
+            'tables must be an object',
+        ]);
+        expect(ConversionTableSerializer.validate({ version: 1, tables: { t: { base: 'm', dimension: 'length++', units: {} } } })).toEqual([
+            'tables.t.units must be an object with at least one unit',
+            'tables.t.dimension is not a valid dimension',
+        ]);
+    });
+
+    test('should not import anything when a table name is taken, unless force=true', () => {
+        const [, text] = conversionManager.exportAll();
+        const importingManager = new ConversionTableManager();
+        importingManager.register('temperature', { 'K': { base: true, term: 'Kelvin' } });
+
+        const [error] = importingManager.importTables(text);
+        expect(error).toBe("Table 'temperature' is already registered. Use force=true to overwrite.");
+        expect(Object.keys(importingManager.tables)).toEqual(['temperature']);
+
+        expect(importingManager.importTables(text, true)[0]).toBeNull();
+        expect(importingManager.tables.temperature.base).toBe('C');
+    });
+
+    test('should return errors for unreadable text and unknown formats', () => {
+        expect(conversionManager.importTables('{ "version": 1,')[0]).toMatch(/^Invalid JSON: /);
+        expect(conversionManager.importTables('version: 1\ntables:\n\tt: x')).toEqual(['Invalid YAML: Line 3: tabs are not allowed for indentation.', null]);
+        expect(conversionManager.importTables('version: 1\n  tables: {}')).toEqual(['Invalid YAML: Line 2: unexpected indentation.', null]);
+        expect(conversionManager.importTables('version 1')).toEqual(["Invalid YAML: Line 1: expected 'key: value'.", null]);
+        expect(conversionManager.exportTable('typography', { format: 'xml' })).toEqual(["Unknown format 'xml'. Use 'json' or 'yaml'.", null]);
+        expect(conversionManager.exportTable('nope')).toEqual(["Table 'nope' not found.", null]);
+    });
+
+    test('should publish the JSON Schema of the document', () => {
+        expect(TABLE_SCHEMA.required).toEqual(['version', 'tables']);
+        expect(Object.keys(TABLE_SCHEMA.definitions.unit.properties)).toEqual(['scale', 'bias', 'term', 'alias', 'minor', 'caseSensitive', 'transform']);
+    });
+});
@@ -0,0 +1,104 @@
+// conversion-table-terms.test.js
+const { ConversionTableManager, ConversionTableOperations } = require('../conversion-table-manager');
+
+const typographyTable = {
+    'in': { scale: 72.0, term: 'Inch(es)' },                  // Inches
+    'p': { scale: 12.0, minor: 'pt', term: 'Pica(s)' },        // Picas with Points as the minor unit
+    'pt': { base: true, term: 'Point(s)', aliases: ['pts'] },  // Points as the base unit
+    'c': { scale: 12.789, minor: 'd', term: 'Cicero(s)' },     // Ciceros with Didots as the minor unit
+    'd': { scale: 1.06575, term: 'Didot(s)' },                 // Didots
+    'x': { scale: 2, term: '12' },                             // A term that reads as a number
+};
+
+const lengthTable = {
+    'm': { base: true, term: 'Meter(s)' },                     // Meters as the base unit
+    'nmi': { scale: 1852, term: 'Nautical Mile(s)' },          // A term with a space
+    'ft': { scale: 0.3048, term: 'Foot/Feet' },                // Irregular plural
+};
+
+describe('ConversionTableOperations - long-form unit names', () => {
+    let typography;
+    let length;
+
+    beforeEach(() => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.register('typography', typographyTable);
+        conversionManager.register('length', lengthTable, { ignoreWhitespace: true });
+        ({ typography, length } = conversionManager.tables);
+    });
+
+    test.each([
+        { input: '3 inches', unit: 'in', value: 3 },
+        { input: '1 Inch', unit: 'in', value: 1 },
+        { input: '3INCHES', unit: 'in', value: 3 },
+        { input: '2 picas', unit: 'p', value: 2 },
+        { input: '-1.5 points', unit: 'pt', value: -1.5 },
+    ])('should parse $input', ({ input, unit, value }) => {
+        const [error, parsed] = ConversionTableOperations.parse(input, typography);
+        expect(error).toBeNull();
+        expect(parsed.main.unit).toBe(unit);
+        expect(parsed.main.value).toBe(value);
+        expect(parsed.sub).toBeNull();
+    });
+
+    test.each(['1 nautical mile', '2 Nautical   Miles', '2 nauticalmiles', '3 feet', '1 foot'])(
+        'should parse multi-word and irregular terms in %s',
+        (input) => {
+            const [error, parsed] = ConversionTableOperations.parse(input, length);
+            expect(error).toBeNull();
+            expect(['nmi', 'ft']).toContain(parsed.main.unit);
+        }
+    );
+
+    test.each(['2 picas 6 points', '2p6pt', '2 Picas 6pt', '2 picas 6 pts', '2 picas 6'])(
+        'should read %s as picas and points',
+        (input) => {
+            const [error, parsed] = ConversionTableOperations.parse(input, typography);
+            expect(error).toBeNull();
+            expect(parsed).toEqual({
+                main: { unit: 'p', value: 2, scale: 12, bias: 0 },
+                sub: { unit: 'pt', value: 6, scale: 1, bias: 0 },
+                base: 'pt',
+            });
+        }
+    );
+
+    test('should refuse a minor unit label that is not smaller than its major unit', () => {
+        expect(ConversionTableOperations.parse('6 points 2 picas', typography))
+            .toEqual(["Units in '6 points 2 picas' must be in descending order, but 'p' follows 'pt'.", null]);
+    });
+
+    test('should leave out terms that read as numbers', () => {
+        expect(ConversionTableOperations.parse('512', typography)[1].main).toEqual({ unit: 'pt', value: 512, scale: 1, bias: 0 });
+        expect(typography.matchUnit('12')).toBeNull();
+    });
+
+    test('should parse what format() writes with long terms', () => {
+        const [, text] = ConversionTableOperations.format(30, 'p', typography, { long: true });
+        expect(text).toBe('2 Picas 6 Points');
+        expect(ConversionTableOperations.convert(text, 'pt', typography)).toEqual([null, { unit: 'pt', value: 30 }]);
+    });
+
+    test('should accept terms in evaluate() and matchUnit()', () => {
+        expect(ConversionTableOperations.evaluate('2 picas 6 points + 1 inch', 'pt', typography)).toEqual([null, { unit: 'pt', value: 102 }]);
+        expect(typography.matchUnit('ciceros')).toBe('c');
+        expect(typography.matchUnit('Pt')).toBeNull(); // Keys stay case-sensitive
+        expect(length.matchUnit('nautical mile')).toBe('nmi');
+    });
+
+    test('should match terms ignoring case, even in case-sensitive tables and units', () => {
+        const conversionManager = new ConversionTableManager();
+        conversionManager.register('metric', {
+            'm': { base: true, term: 'Meter(s)' },
+            'mm': { scale: 0.001, term: 'Millimeter(s)', caseSensitive: true },
+            'Mm': { scale: 1e6, term: 'Megameter(s)', caseSensitive: true },
+        }, { caseSensitive: true });
+        const { metric } = conversionManager.tables;
+
+        expect(ConversionTableOperations.parse('5 MM', metric)[0]).not.toBeNull();
+        expect(ConversionTableOperations.parse('5 MILLIMETERS', metric)[1].main.unit).toBe('mm');
+        expect(ConversionTableOperations.parse('5 megameters', metric)[1].main.unit).toBe('Mm');
+        expect(metric.matchUnit('MM')).toBeNull();
+        expect(metric.matchUnit('mEgAmEtEr')).toBe('Mm');
+    });
+});
@@ -0,0 +1,156 @@
+// conversion-table-transforms.test.js
+const { ConversionTableManager, ConversionTableOperations, ConversionTable } = require('../conversion-table-manager');
+
+const fuelTable = {
+    'km/L': { base: true, term: ['Kilometer per Liter', 'Kilometers per Liter'] },                 // Kilometers per liter as the base unit
+    'mpg': { scale: '1.609344/3.785411784', term: ['Mile per Gallon', 'Miles per Gallon'] },       // Miles per US gallon
+    'L/100km': {                                                                                   // Liters per 100 kilometers
+        transform: { name: 'reciprocal', factor: 100 },
+        term: ['Liter per 100 Kilometers', 'Liters per 100 Kilometers'],
+    },
+};
+
+const powerTable = {
+    'W': { base: true, term: 'Watt(s)' },                                                          // Watts as the base unit
+    'mW': { scale: 0.001, term: 'Milliwatt(s)' },                                                  // Milliwatts
+    'dBW': { transform: { name: 'logarithmic', factor: 10 }, term: 'dBW' },                        // Decibels relative to 1 W
+    'dBm': { transform: { name: 'logarithmic', factor: 10 }, scale: 0.001, term: 'dBm' },          // Decibels relative to 1 mW
+};
+
+const wireTable = {
+    'mm': { base: true, term: 'Millimeter(s)' },                                                   // Diameter in millimeters as the base unit
+    'AWG': {                                                                                       // American wire gauge
+        toBase: (gauge) => 0.127 * Math.pow(92, (36 - gauge) / 39),
+        fromBase: (diameter) => 36 - 39 * Math.log(diameter / 0.127) / Math.log(92),
+        term: 'AWG',
+    },
+};
+
+describe('ConversionTable - non-linear units', () => {
+    let conversionManager;
+    let fuel;
+    let power;
+
+    beforeEach(() => {
+        conversionManager = new ConversionTableManager();
+        conversionManager.register('fuel', fuelTable);
+        conversionManager.register('power', powerTable);
+        conversionManager.register('wire', wireTable);
+        ({ fuel, power } = conversionManager.tables);
+    });
+
+    test('should convert with named transforms', () => {
+        expect(ConversionTableOperations.convert('30mpg', 'L/100km', fuel)[1].value).toBeCloseTo(7.8404861, 6);
+        expect(ConversionTableOperations.convert('5 liters per 100 kilometers', 'km/L', fuel)).toEqual([null, { unit: 'km/L', value: 20 }]);
+
+        expect(ConversionTableOperations.convert('30dBm', 'W', power)).toEqual([null, { unit: 'W', value: 1 }]);
+        expect(ConversionTableOperations.convert('1W', 'dBm', power)).toEqual([null, { unit: 'dBm', value: 30 }]);
+        expect(ConversionTableOperations.convert('-10dBW', 'mW', power)).toEqual([null, { unit: 'mW', value: 100 }]);
+        expect(ConversionTableOperations.convert('20dBW', 'dBm', power)).toEqual([null, { unit: 'dBm', value: 50 }]);
+    });
+
+    test('should convert with toBase and fromBase functions', () => {
+        const { wire } = conversionManager.tables;
+        expect(ConversionTableOperations.convert('12AWG', 'mm', wire)).toEqual([null, { unit: 'mm', value: 2.052525 }]);
+        expect(ConversionTableOperations.convert('0.127mm', 'AWG', wire)).toEqual([null, { unit: 'AWG', value: 36 }]);
+        expect(wire.table.AWG.toBase).toBe(wireTable.AWG.toBase);
+    });
+
+    test('should honor transforms when formatting, evaluating and converting batches', () => {
+        expect(ConversionTableOperations.format(20, 'L/100km', fuel)).toEqual([null, '5L/100km']);
+        expect(ConversionTableOperations.format(0.01, 'dBm', power, { long: true })).toEqual([null, '10 dBm']);
+        expect(ConversionTableOperations.evaluate('1W + 1W', 'dBW', power)[1].value).toBeCloseTo(3.0103, 4);
+
+        const [, { results }] = ConversionTableOperations.convertMany(['0dBm', '10dBm', '20dBm'], 'mW', power);
+        expect(results.map(([, result]) => result.value)).toEqual([1, 10, 100]);
+    });
+
+    test('should report values outside the range of a non-linear unit', () => {
+        expect(ConversionTableOperations.convert('0W', 'dBm', power)).toEqual(["Value 0 W is outside the range of unit 'dBm'.", null]);
+        expect(ConversionTableOperations.convert('-1W', 'dBm', power)).toEqual(["Value -1 W is outside the range of unit 'dBm'.", null]);
+        expect(ConversionTableOperations.convert('0km/L', 'L/100km', fuel)).toEqual(["Value 0 km/L is outside the range of unit 'L/100km'.", null]);
+        expect(ConversionTableOperations.convert('0L/100km', 'mpg', fuel)).toEqual(["Value 0 L/100km is outside the range of unit 'L/100km'.", null]);
+        expect(ConversionTableOperations.format(0, 'dBm', power)).toEqual(["Value 0 W is outside the range of unit 'dBm'.", null]);
+        expect(ConversionTableOperations.evaluate('1W - 1W', 'dBW', power)).toEqual(["Value 0 W is outside the range of unit 'dBW'.", null]);
+
+        const [, { summary }] = ConversionTableOperations.convertMany(['1W', '0W', '-1W'], 'dBm', power);
+        expect(summary).toMatchObject({ converted: 1, failed: 2 });
+        expect(summary.failures.map(({ index }) => index)).toEqual([1, 2]);
+    });
+
+    test('should refuse exact conversions, chains and composite input with non-linear units', () => {
+        expect(ConversionTableOperations.convert('1W', 'dBm', power, { exact: true }))
+            .toEqual(["Unit 'dBm' is not linear and cannot be converted exactly.", null]);
+        expect(ConversionTableOperations.convert('30dBm', 'W', power, { exact: true }))
+            .toEqual(["Unit 'dBm' is not linear and cannot be converted exactly.", null]);
+        expect(ConversionTableOperations.convert('1W', 'dBm', power, { chain: true }))
+            .toEqual(["Unit 'dBm' is not linear and cannot be part of a chain.", null]);
+        expect(ConversionTableOperations.parse('1W 10dBm', power))
+            .toEqual(["Unit 'dBm' is not linear and cannot be combined with other units.", null]);
+    });
+
+    test('should validate transforms and round trips', () => {
+        const invalid = [
+            [{ transform: 'cubic' }, "Unit 'y' has an unknown transform 'cubic'; use 'reciprocal' or 'logarithmic'."],
+            [{ transform: { name: 'reciprocal', scale: 2 } }, "Transform 'reciprocal' of unit 'y' has no parameter 'scale'."],
+            [{ transform: { name: 'reciprocal', factor: 0 } }, "Transform 'reciprocal' of unit 'y' has an invalid factor '0'; it must be a non-zero number."],
+            [{ transform: { name: 'logarithmic', logBase: 1 } }, "Transform 'logarithmic' of unit 'y' has an invalid logBase '1'; it must be a positive number other than 1."],
+            [{ toBase: (value) => value * 2 }, "Unit 'y' must have both toBase and fromBase functions."],
+            [{ transform: 'reciprocal', fromBase: (value) => value }, "Unit 'y' cannot have both a transform and toBase/fromBase functions."],
+            [{ toBase: (value) => value * 2, fromBase: (value) => value }, "Unit 'y' does not round-trip: toBase(-10) is -20, but fromBase(-20) is -20."],
+            [{ toBase: () => { throw new Error('No.'); }, fromBase: (value) => value }, "Unit 'y' cannot convert -10: No."],
+        ];
+        for (const [unit, expected] of invalid) {
+            expect(ConversionTable.factory({ 'x': { base: true, term: 'X' }, 'y': { ...unit, term: 'Y' } }, 'test')).toEqual([expected, null]);
+        }
+
+        const diagnostics = ConversionTable.validate({
+            'x': { base: true, transform: 'reciprocal', term: 'X' },
+            'y': { transform: 'reciprocal', minor: 'x', term: 'Y' },
+        });
+        const transformDiagnostics = diagnostics.filter(({ code }) => code === 'INVALID_TRANSFORM');
+        expect(transformDiagnostics.map(({ code, message }) => [code, message])).toEqual([
+            ['INVALID_TRANSFORM', "Base unit 'x' must be linear."],
+            ['INVALID_TRANSFORM', "Unit 'y' is not linear and cannot have a minor unit."],
+            ['INVALID_TRANSFORM', "Minor unit 'x' of 'y' is not linear."],
+        ]);
+        expect(ConversionTable.factory({ 'x': { base: true }, 'y': { transform: 'reciprocal', prefixes: ['k'] } }, 'test'))
+            .toEqual(["Unit 'y' cannot declare prefixes: it is not linear.", null]);
+    });
+
+    test('should keep transforms through edits, rebasing and extending', () => {
+        const [, milliwatts] = power.rebase('mW');
+        expect(milliwatts.table.dBm).toMatchObject({ scale: 1, transform: { name: 'logarithmic', factor: 10 } });
+        expect(ConversionTableOperations.convert('30dBm', 'W', milliwatts)).toEqual([null, { unit: 'W', value: 1 }]);
+        expect(power.rebase('dBm')).toEqual(["Cannot rebase table 'power' on 'dBm': it is not linear.", null]);
+
+        conversionManager.addUnit('wire', 'in', { scale: 25.4, term: 'Inch(es)' });
+        expect(ConversionTableOperations.convert('0.127mm', 'AWG', conversionManager.tables.wire)[1].value).toBe(36);
+        conversionManager.updateUnit('power', 'dBW', { transform: null });
+        expect(ConversionTableOperations.convert('2dBW', 'W', power)).toEqual([null, { unit: 'W', value: 2 }]);
+
+        conversionManager.register('wire-us', { 'mil': { scale: 0.0254, term: 'Mil(s)' } }, { extends: 'wire' });
+        expect(ConversionTableOperations.convert('0.127mm', 'AWG', conversionManager.tables['wire-us'])[1].value).toBe(36);
+    });
+
+    test('should export named transforms and refuse functions', () => {
+        const [, yaml] = conversionManager.exportTable('power', { format: 'yaml' });
+        const otherManager = new ConversionTableManager();
+        expect(otherManager.importTables(yaml)).toEqual([null, "Tables 'power' imported successfully."]);
+        expect(otherManager.tables.power.table.dBm.transform).toEqual({ name: 'logarithmic', factor: 10, logBase: 10, reference: 1 });
+        expect(ConversionTableOperations.convert('30dBm', 'W', otherManager.tables.power)).toEqual([null, { unit: 'W', value: 1 }]);
+
+        const message = "Unit 'AWG' of table 'wire' converts with toBase/fromBase functions, which cannot be exported; use a named transform.";
+        expect(conversionManager.exportTable('wire')).toEqual([message, null]);
+        expect(conversionManager.exportAll()).toEqual([message, null]);
+
+        expect(otherManager.importTables({ version: 1, tables: { x: { base: 'a', units: { a: { scale: 1 }, b: { transform: { name: 'reciprocal', factor: 0 } } } } } }))
+            .toEqual(['Invalid table document: tables.x.units.b.transform must be a named transform with valid parameters.', null]);
+    });
+
+    test('should refuse non-linear tables as components of derived tables', () => {
+        conversionManager.register('time', { 's': { base: true, term: 'Second(s)' } });
+        expect(conversionManager.registerDerived('power-rate', 'power/time'))
+            .toEqual(["Table 'power' cannot be combined: unit 'dBW' is not linear.", null]);
+    });
+});
@@ -0,0 +1,97 @@
+// conversion-table-unit-keys.test.js
+const { ConversionTable, ConversionTableOperations } = require('../conversion-table-manager');
+
+const symbolTable = {
+    'm': { base: true, term: 'Meter(s)' },               // Meters as the base unit
+    'in.': { scale: 0.0254, term: 'Inch(es)' },          // Abbreviation with a trailing dot
+    '"': { alias: 'in.' },                               // Double quote for inches
+    "'": { scale: 0.3048, term: 'Foot/Feet' },           // Single quote for feet
+    'ft²': { scale: 0.09290304, term: 'Square Foot/Square Feet' },
+    'µm': { scale: 1e-6, term: 'Micrometer(s)' },        // Micro sign (U+00B5)
+    'm/s': { scale: 2, term: 'Odd' },                    // Slash, would close a regex literal
+    'Å': { scale: 1e-10, term: 'Ångström(s)' },          // Composed A with ring (U+00C5)
+    'a|b': { scale: 3, term: 'Alternation' },            // Alternation metacharacter
+    '(x)': { scale: 4, term: 'Group' },                  // Group metacharacters
+    'x+': { scale: 5, term: 'Quantifier' },              // Quantifier metacharacter
+    '$': { scale: 6, term: 'Anchor' },                   // Anchor metacharacter
+};
+
+const temperatureTable = {
+    '°C': { base: true, term: 'Degree(s) Celsius' },
+    '°F': { scale: 5 / 9, bias: -160 / 9, term: 'Degree(s) Fahrenheit' },
+};
+
+describe('ConversionTable - unit keys with special characters', () => {
+    let table;
+
+    beforeAll(() => {
+        let error;
+        [error, table] = ConversionTable.factory(symbolTable, 'symbols');
+        expect(error).toBeNull();
+    });
+
+    test.each([
+        { input: '2in.', unit: 'in.', value: 2 },
+        { input: '2"', unit: 'in.', value: 2 },
+        { input: "6'", unit: "'", value: 6 },
+        { input: '3 ft²', unit: 'ft²', value: 3 },
+        { input: '4µm', unit: 'µm', value: 4 },
+        { input: '4μm', unit: 'µm', value: 4 },
+        { input: '5 m/s', unit: 'm/s', value: 5 },
+        { input: '7Å', unit: 'Å', value: 7 },
+        { input: '7Å', unit: 'Å', value: 7 },
+        { input: '8a|b', unit: 'a|b', value: 8 },
+        { input: '9(x)', unit: '(x)', value: 9 },
+        { input: '10x+', unit: 'x+', value: 10 },
+        { input: '11$', unit: '$', value: 11 },
+    ])('should parse $input', ({ input, unit, value }) => {
+        const [error, parsed] = ConversionTableOperations.parse(input, table);
+        expect(error).toBeNull();
+        expect(parsed.main.unit).toBe(unit);
+        expect(parsed.main.value).toBe(value);
+    });
+
+    test.each(['2in', '2inx', '8a', '8b', '9x', '10xx', '10x', '5 ms'])(
+        'should not let metacharacters in keys match %s',
+        (input) => {
+            expect(ConversionTableOperations.parse(input, table)).toEqual(['Invalid input format or no match found.', null]);
+        }
+    );
+
+    test('should convert between symbol units', () => {
+        const [error, result] = ConversionTableOperations.convert('1\'', 'in.', table);
+        expect(error).toBeNull();
+        expect(result.value).toBeCloseTo(12, 10);
+
+        const [, temperatureTableInstance] = ConversionTable.factory(temperatureTable, 'temperature');
+        const [temperatureError, temperature] = ConversionTableOperations.convert('212 °F', '°C', temperatureTableInstance);
+        expect(temperatureError).toBeNull();
+        expect(temperature.value).toBeCloseTo(100, 10);
+    });
+
+    test('should evaluate expressions with symbol units', () => {
+        const [error, result] = ConversionTableOperations.evaluate('1\' + 2μm', 'µm', table);
+        expect(error).toBeNull();
+        expect(result.value).toBeCloseTo(304802, 6);
+    });
+
+    test('should fold variants in case-insensitive tables too', () => {
+        const [, insensitive] = ConversionTable.factory(symbolTable, 'symbols', { caseSensitive: false });
+        expect(ConversionTableOperations.parse('4ΜM', insensitive)[1].main.unit).toBe('µm');
+        expect(insensitive.matchUnit('μM')).toBe('µm');
+        expect(ConversionTableOperations.parse('2IN.', insensitive)[1].main.unit).toBe('in.');
+    });
+
+    test('should refuse unit keys that cannot be matched', () => {
+        expect(ConversionTable.validate({ 'm': { base: true, term: 'Meter(s)' }, '': { scale: 2, term: 'Empty' } }))
+            .toEqual([{ code: 'INVALID_UNIT_KEY', unit: '', message: "Unit key '' must not be empty.", severity: 'error' }]);
+        expect(ConversionTable.factory({ 'm': { base: true }, ' cm': { scale: 0.01 } }, 'length'))
+            .toEqual(["Unit key ' cm' must not start or end with whitespace.", null]);
+        expect(ConversionTable.factory({ 'm': { base: true }, '2x': { scale: 2 } }, 'length'))
+            .toEqual(["Unit key '2x' must not start with a digit, a sign or a separator.", null]);
+        expect(ConversionTable.factory({ 'm': { base: true }, '-m': { scale: -1 } }, 'length')[0])
+            .toBe("Unit key '-m' must not start with a digit, a sign or a separator.");
+        expect(ConversionTable.factory({ 'm': { base: true }, 'a\tb': { scale: 2 } }, 'length')[0])
+            .toBe("Unit key 'a\tb' must not contain control characters.");
+    });
+});
@@ -0,0 +1,141 @@
+// conversion-table-validation.test.js
+const { ConversionTableManager, ConversionTable, BUILTIN_TABLES } = require('../conversion-table-manager');
+
+// Test data: raw tables and the diagnostics they should produce
+const diagnosticCases = [
+    {
+        name: 'a missing base unit',
+        table: { 'in': { scale: 72, term: 'Inch(es)' } },
+        expected: [{ code: 'MISSING_BASE', unit: null, message: 'No base unit declared.', severity: 'error' }],
+    },
+    {
+        name: 'a duplicate base unit',
+        table: { 'pt': { base: true, term: 'Point(s)' }, 'px': { base: true, term: 'Pixel(s)' } },
+        expected: [{ code: 'DUPLICATE_BASE', unit: 'px', message: "Unit 'px' is declared as base unit, but 'pt' already is.", severity: 'error' }],
+    },
+    {
+        name: 'an alias to a missing unit',
+        table: { 'pt': { base: true, term: 'Point(s)' }, 'i': { alias: 'in' } },
+        expected: [{ code: 'UNKNOWN_ALIAS', unit: 'i', message: "Alias 'i' refers to unknown unit 'in'.", severity: 'error' }],
+    },
+    {
+        name: 'an alias cycle',
+        table: { 'pt': { base: true, term: 'Point(s)' }, 'a': { alias: 'b' }, 'b': { alias: 'a' } },
+        expected: [
+            { code: 'ALIAS_CYCLE', unit: 'a', message: "Alias 'a' resolves in a cycle: a → b → a.", severity: 'error' },
+            { code: 'ALIAS_CYCLE', unit: 'b', message: "Alias 'b' resolves in a cycle: b → a → b.", severity: 'error' },
+        ],
+    },
+    {
+        name: 'an alias chain',
+        table: { 'pt': { base: true, term: 'Point(s)' }, 'in': { scale: 72, term: 'Inch(es)' }, 'inch': { alias: 'in' }, 'i': { alias: 'inch' } },
+        expected: [{ code: 'ALIAS_CHAIN', unit: 'i', message: "Alias 'i' refers to alias 'inch'; it resolves to 'in'.", severity: 'warning' }],
+    },
+    {
+        name: 'a minor unit pointing nowhere',
+        table: { 'pt': { base: true, term: 'Point(s)' }, 'p': { scale: 12, minor: 'pp', term: 'Pica(s)' } },
+        expected: [{ code: 'UNKNOWN_MINOR', unit: 'p', message: "Minor unit 'pp' of 'p' does not exist.", severity: 'error' }],
+    },
+    {
+        name: 'a minor unit that is the unit itself or larger',
+        table: { 'pt': { base: true, minor: 'pt', term: 'Point(s)' }, 'p': { scale: 12, term: 'Pica(s)' }, 'd': { scale: 1.06, minor: 'p', term: 'Didot(s)' } },
+        expected: [
+            { code: 'INVALID_MINOR', unit: 'pt', message: "Unit 'pt' cannot be its own minor unit.", severity: 'error' },
+            { code: 'MINOR_NOT_SMALLER', unit: 'd', message: "Minor unit 'p' of 'd' is not smaller than 'd'.", severity: 'warning' },
+        ],
+    },
+    {
+        name: 'invalid scales and biases',
+        table: {
+            'pt': { base: true, term: 'Point(s)' },
+            'a': { scale: 0, term: 'A' },
+            'b': { scale: -2, term: 'B' },
+            'c': { scale: NaN, term: 'C' },
+            'd': { scale: '12/0', bias: 'three', term: 'D' },
+        },
+        expected: [
+            { code: 'INVALID_SCALE', unit: 'a', message: "Unit 'a' has an invalid scale '0'; it must be a positive number.", severity: 'error' },
+            { code: 'INVALID_SCALE', unit: 'b', message: "Unit 'b' has an invalid scale '-2'; it must be a positive number.", severity: 'error' },
+            { code: 'INVALID_SCALE', unit: 'c', message: "Unit 'c' has an invalid scale 'NaN'; it must be a positive number.", severity: 'error' },
+            { code: 'INVALID_SCALE', unit: 'd', message: "Unit 'd' has an invalid scale '12/0'; it must be a positive number.", severity: 'error' },
+            { code: 'INVALID_BIAS', unit: 'd', message: "Unit 'd' has an invalid bias 'three'; it must be a finite number.", severity: 'error' },
+        ],
+    },
+    {
+        name: 'missing and invalid terms, a scaled base unit and a malformed unit',
+        table: { 'pt': { base: true, scale: 2, term: ['Point'] }, 'p': { scale: 12 }, 'x': 12 },
+        expected: [
+            { code: 'BASE_NOT_IDENTITY', unit: 'pt', message: "Base unit 'pt' should have a scale of 1 and no bias.", severity: 'warning' },
+            { code: 'INVALID_TERM', unit: 'pt', message: "Unit 'pt' has an invalid term; it must be a string or a [singular, plural] pair.", severity: 'error' },
+            { code: 'MISSING_TERM', unit: 'p', message: "Unit 'p' has no term; its key is used as its name.", severity: 'warning' },
+            { code: 'INVALID_UNIT', unit: 'x', message: "Unit 'x' must be an object.", severity: 'error' },
+        ],
+    },
+    {
+        name: 'an unknown prefix',
+        table: { 'm': { base: true, term: 'Meter(s)', prefixes: ['X'] } },
+        expected: [{ code: 'INVALID_PREFIX', unit: null, message: "Unknown prefix 'X' in unit 'm'.", severity: 'error' }],
+    },
+];
+
+describe('ConversionTable - validate() method', () => {
+    test.each(diagnosticCases)(
+        'should report $name',
+        ({ table, expected }) => {
+            expect(ConversionTable.validate(table)).toEqual(expected);
+        }
+    );
+
+    test('should report nothing for the built-in tables', () => {
+        for (const { units } of Object.values(BUILTIN_TABLES)) {
+            expect(ConversionTable.validate(units)).toEqual([]);
+        }
+    });
+
+    test('should not modify the raw table while normalizing aliases', () => {
+        const rawTable = { 'pt': { base: true, term: 'Point(s)' }, 'i': { alias: 'in' }, 'in': { scale: 72, term: 'Inch(es)' } };
+        ConversionTable.factory(rawTable, 'typography');
+        expect(rawTable.in).toEqual({ scale: 72, term: 'Inch(es)' });
+        expect(ConversionTable.validate(rawTable)).toEqual([]);
+    });
+});
+
+describe('ConversionTableManager - register() validation', () => {
+    let conversionManager;
+
+    beforeEach(() => {
+        conversionManager = new ConversionTableManager();
+    });
+
+    test('should always refuse unknown aliases and alias cycles with a clear message', () => {
+        expect(conversionManager.register('typography', { 'pt': { base: true }, 'i': { alias: 'in' } }))
+            .toEqual(["Alias 'i' refers to unknown unit 'in'.", null]);
+        expect(conversionManager.register('typography', { 'pt': { base: true }, 'a': { alias: 'a' } }))
+            .toEqual(["Alias 'a' resolves in a cycle: a → a.", null]);
+    });
+
+    test('should keep the diagnostics of a registered table', () => {
+        const [error] = conversionManager.register('typography', {
+            'pt': { base: true, term: 'Point(s)' },
+            'p': { scale: 12, minor: 'pp', term: 'Pica(s)' },
+        });
+        expect(error).toBeNull();
+        expect(conversionManager.tables.typography.diagnostics.map(({ code }) => code)).toEqual(['UNKNOWN_MINOR']);
+    });
+
+    test('should refuse any error in strict mode, but accept warnings', () => {
+        const rawTable = {
+            'pt': { base: true, term: 'Point(s)' },
+            'p': { scale: 12, minor: 'pp', term: 'Pica(s)' },
+            'd': { scale: -1, term: 'Didot(s)' },
+        };
+        const [error, message] = conversionManager.register('typography', rawTable, { strict: true });
+        expect(error).toBe("Table 'typography' is invalid: Minor unit 'pp' of 'p' does not exist. Unit 'd' has an invalid scale '-1'; it must be a positive number.");
+        expect(message).toBeNull();
+        expect(conversionManager.tables.typography).toBeUndefined();
+
+        const [warningError] = conversionManager.register('typography', { 'pt': { base: true }, 'p': { scale: 12 } }, { strict: true });
+        expect(warningError).toBeNull();
+        expect(conversionManager.tables.typography.diagnostics.map(({ severity }) => severity)).toEqual(['warning', 'warning']);
+    });
+});